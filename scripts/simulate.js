@@ -0,0 +1,114 @@
+/**
+ * Monte Carlo batch simulation from the command line
+ *
+ * Usage:
+ *   npm run simulate -- --format Test --matches 200 --seed 42
+ *   node scripts/simulate.js --format T20 --matches 1000 --team1 england --team2 australia
+ *
+ * Options:
+ *   --format   T20, ODI, HUNDRED or Test (default T20)
+ *   --matches  Number of matches to simulate (default 100)
+ *   --seed     Batch seed; the same seed gives the same results (default random)
+ *   --overs    Overs per innings for limited-overs matches (default 20 for T20 and HUNDRED, 50 for ODI)
+ *   --team1    Team id from src/data/teams.json (default england)
+ *   --team2    Team id from src/data/teams.json (default australia)
+ *   --top      Number of leading run-scorers and wicket-takers to list (default 5)
+ */
+
+import { runBatchSimulation, BATCH_FORMATS } from '../src/engine/batchSimulator.js'
+import { loadAshesTeam, selectTestXI } from '../src/utils/ashesHelpers.js'
+
+/**
+ * Parse --name value pairs from the command line
+ */
+function parseArgs(argv) {
+  const args = {}
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1]
+      i++
+    }
+  }
+  return args
+}
+
+/**
+ * Load a team and pick its XI
+ */
+function createTeam(teamId) {
+  const team = loadAshesTeam(teamId)
+  team.players = selectTestXI(team)
+  return team
+}
+
+/**
+ * Right-align a value in a fixed-width column
+ */
+function pad(value, width) {
+  return String(value).padStart(width)
+}
+
+function printResults(results) {
+  console.log(`\n${results.matches} ${results.format} MATCHES (SEED ${results.seed})`)
+  console.log('='.repeat(50))
+
+  console.log('\nRESULTS')
+  for (const team of results.teams) {
+    console.log(`  ${team.name.padEnd(20)} won ${pad(team.wins, 5)} (${pad(team.winRate, 5)}%)  batting first: ${team.winsBattingFirst}`)
+  }
+  if (results.format === BATCH_FORMATS.TEST) {
+    console.log(`  ${'DRAWN'.padEnd(20)}     ${pad(results.draws, 5)} (${pad(results.drawRate, 5)}%)`)
+  }
+  console.log(`  ${'TIED'.padEnd(20)}     ${pad(results.ties, 5)} (${pad(results.tieRate, 5)}%)`)
+
+  console.log('\nINNINGS TOTALS            avg    min    med    max   wkts avg')
+  for (const { innings, runs, wickets } of results.innings) {
+    console.log(`  Innings ${innings} (${pad(runs.count, 5)})  ${pad(runs.average, 7)} ${pad(runs.min, 6)} ${pad(runs.median, 6)} ${pad(runs.max, 6)} ${pad(wickets.average, 10)}`)
+  }
+
+  console.log('\nTOP RUN-SCORERS             inns   runs    avg   best')
+  for (const p of results.topRunScorers) {
+    console.log(`  ${p.name.padEnd(18)} ${p.team.padEnd(6)} ${pad(p.innings, 5)} ${pad(p.runs, 6)} ${pad(p.average, 6)} ${pad(p.highScore, 6)}`)
+  }
+
+  console.log('\nTOP WICKET-TAKERS           wkts    avg   econ')
+  for (const p of results.topWicketTakers) {
+    const average = Number.isFinite(p.average) ? p.average : '-'
+    console.log(`  ${p.name.padEnd(18)} ${p.team.padEnd(6)} ${pad(p.wickets, 5)} ${pad(average, 6)} ${pad(p.economy, 6)}`)
+  }
+  console.log('')
+}
+
+function main() {
+  const args = parseArgs(process.argv.slice(2))
+  const format = Object.values(BATCH_FORMATS).find(f => f.toLowerCase() === (args.format || 'T20').toLowerCase())
+  if (!format) {
+    throw new Error(`Unknown format "${args.format}" - use ${Object.values(BATCH_FORMATS).join(', ')}`)
+  }
+  const team1Id = args.team1 || 'england'
+  const team2Id = args.team2 || 'australia'
+
+  const results = runBatchSimulation(
+    () => ({ team1: createTeam(team1Id), team2: createTeam(team2Id) }),
+    {
+      format,
+      matches: parseInt(args.matches, 10) || 100,
+      seed: args.seed,
+      overs: parseInt(args.overs, 10) || undefined,
+      top: parseInt(args.top, 10) || 5,
+      onProgress: (done, total) => {
+        if (process.stderr.isTTY) process.stderr.write(`\rSimulating ${done}/${total}...`)
+      }
+    }
+  )
+
+  if (process.stderr.isTTY) process.stderr.write('\n')
+  printResults(results)
+}
+
+try {
+  main()
+} catch (error) {
+  console.error(`Simulation failed: ${error.message}`)
+  process.exit(1)
+}
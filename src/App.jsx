@@ -7,10 +7,13 @@ import TeletextButton from './components/TeletextButton'
 import LoadingScreen from './components/LoadingScreen'
 import LiveMatch from './components/LiveMatch'
 import TestMatchLive from './components/TestMatchLive'
+import { getSavedTestMatchSummary } from './utils/matchStorage.js'
+import { getAshesTeams } from './utils/ashesHelpers.js'
 
 function App() {
   const [isLoading, setIsLoading] = useState(true)
   const [currentPage, setCurrentPage] = useState('P100')
+  const [resumeTestMatch, setResumeTestMatch] = useState(false)
 
   const handleLoadingComplete = () => {
     setIsLoading(false)
@@ -20,6 +23,13 @@ function App() {
     setCurrentPage(page)
   }
 
+  const handleStartTestMatch = (resume) => {
+    setResumeTestMatch(resume)
+    handleNavigate('P350')
+  }
+
+  const savedTestMatch = currentPage === 'P200' ? getSavedTestMatchSummary() : null
+
   if (isLoading) {
     return <LoadingScreen onComplete={handleLoadingComplete} />
   }
@@ -87,10 +97,32 @@ function App() {
             </ul>
           </div>
 
+          {savedTestMatch && (
+            <div className="teletext-block teletext-block--cyan" style={{ marginTop: '1rem' }}>
+              <p className="teletext-text teletext-text--black">
+                MATCH IN PROGRESS: DAY {savedTestMatch.day} - {savedTestMatch.session}
+              </p>
+              <p className="teletext-text teletext-text--black">
+                {savedTestMatch.status}
+              </p>
+            </div>
+          )}
+
           <div style={{ marginTop: '1.5rem', textAlign: 'center' }}>
-            <TeletextButton color="green" onClick={() => handleNavigate('P350')}>
+            {savedTestMatch && (
+              <TeletextButton color="cyan" onClick={() => handleStartTestMatch(true)}>
+                ► RESUME MATCH
+              </TeletextButton>
+            )}
+            <TeletextButton color="green" onClick={() => handleStartTestMatch(false)}>
               🏏 START ASHES 2025 🏏
             </TeletextButton>
+            <TeletextButton color="yellow" onClick={() => handleNavigate('P310')}>
+              ONE DAY INTERNATIONAL (50 OVERS)
+            </TeletextButton>
+            <TeletextButton color="magenta" onClick={() => handleNavigate('P320')}>
+              THE HUNDRED (100 BALLS)
+            </TeletextButton>
           </div>
 
           <div style={{ marginTop: '1rem' }}>
@@ -106,9 +138,19 @@ function App() {
         <LiveMatch onNavigate={handleNavigate} />
       )}
 
+      {/* P310 - One Day International (50 overs) */}
+      {currentPage === 'P310' && (
+        <LiveMatch onNavigate={handleNavigate} format="ODI" loadTeams={getAshesTeams} pageNumber="P310" />
+      )}
+
+      {/* P320 - The Hundred (100 balls) */}
+      {currentPage === 'P320' && (
+        <LiveMatch onNavigate={handleNavigate} format="HUNDRED" loadTeams={getAshesTeams} pageNumber="P320" />
+      )}
+
       {/* P350 - The Ashes 2025 Test Match */}
       {currentPage === 'P350' && (
-        <TestMatchLive onNavigate={handleNavigate} />
+        <TestMatchLive onNavigate={handleNavigate} resume={resumeTestMatch} />
       )}
 
       {/* P400 - Team Selection */}
@@ -0,0 +1,74 @@
+import React from 'react'
+import TeletextButton from './TeletextButton'
+import { BATTING_INTENTS, getBattingIntent } from '../engine/battingIntents.js'
+
+const INTENT_ORDER = Object.keys(BATTING_INTENTS)
+
+/**
+ * BattingIntentControls Component
+ * Shows how the two batters are playing, and lets the user change each batter's
+ * intent when their side is batting (AI INTENT hands both back to the AI captain)
+ */
+const BattingIntentControls = ({ matchState, onChange, disabled = false }) => {
+  const batters = [matchState.striker, matchState.nonStriker].filter(Boolean)
+  if (batters.length === 0) return null
+
+  const isUserBatting = matchState.isUserBatting()
+
+  // Step through block, rotate, normal, attack and slog, starting from the intent in force
+  const cycleIntent = (batter) => {
+    const current = INTENT_ORDER.indexOf(matchState.getIntentForBatter(batter))
+    matchState.userBattingIntents = {
+      ...matchState.userBattingIntents,
+      [batter.id]: INTENT_ORDER[(current + 1) % INTENT_ORDER.length]
+    }
+    onChange()
+  }
+
+  const clearIntents = () => {
+    matchState.userBattingIntents = {}
+    onChange()
+  }
+
+  const describe = (batter) => {
+    const intent = getBattingIntent(matchState.getIntentForBatter(batter))
+    const isAI = !isUserBatting || !matchState.userBattingIntents[batter.id]
+    return `${batter.name}: ${intent.name}${isUserBatting && isAI ? ' (AI)' : ''}`
+  }
+
+  if (!isUserBatting) {
+    return (
+      <div className="teletext-block" style={{ marginBottom: '0.5rem' }}>
+        <p className="teletext-text teletext-text--cyan" style={{ fontSize: '0.8rem' }}>
+          INTENT: {batters.map(describe).join(' | ')}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="teletext-block" style={{ marginBottom: '0.5rem' }}>
+      <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+        {batters.map(batter => (
+          <TeletextButton
+            key={batter.id}
+            color="cyan"
+            onClick={() => cycleIntent(batter)}
+            disabled={disabled}
+          >
+            {describe(batter)}
+          </TeletextButton>
+        ))}
+        <TeletextButton
+          color="yellow"
+          onClick={clearIntents}
+          disabled={disabled || Object.keys(matchState.userBattingIntents).length === 0}
+        >
+          AI INTENT
+        </TeletextButton>
+      </div>
+    </div>
+  )
+}
+
+export default BattingIntentControls
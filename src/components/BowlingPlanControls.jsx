@@ -0,0 +1,78 @@
+import React from 'react'
+import TeletextButton from './TeletextButton'
+import {
+  BOWLING_LINES,
+  BOWLING_LENGTHS,
+  BOWLING_VARIATIONS,
+  getAvailableVariations,
+  describeBowlingPlan
+} from '../engine/bowlingPlans.js'
+
+/**
+ * Get the option after the current one, wrapping round
+ */
+const nextOption = (options, current) => options[(options.indexOf(current) + 1) % options.length]
+
+/**
+ * BowlingPlanControls Component
+ * Shows the fielding side's bowling plan, and lets the user set the line, length
+ * and variation when their side is bowling (AI PLAN hands it back to the AI captain)
+ */
+const BowlingPlanControls = ({ matchState, onChange, disabled = false }) => {
+  const plan = matchState.getBowlingPlanForOver()
+  const isUserBowling = matchState.isUserBowling()
+  const variations = [null, ...getAvailableVariations(matchState.bowler)]
+
+  // Start from the plan in force, so changing one part keeps the others
+  const setPlan = (changes) => {
+    matchState.userBowlingPlan = { ...plan, ...changes }
+    onChange()
+  }
+
+  const clearPlan = () => {
+    matchState.userBowlingPlan = null
+    onChange()
+  }
+
+  return (
+    <div className="teletext-block" style={{ marginBottom: '0.5rem' }}>
+      <p className="teletext-text teletext-text--cyan" style={{ fontSize: '0.8rem' }}>
+        {matchState.bowlingTeam.name} PLAN{isUserBowling && !matchState.userBowlingPlan ? ' (AI)' : ''}: {describeBowlingPlan(plan)}
+      </p>
+      {isUserBowling && (
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem', marginTop: '0.5rem' }}>
+          <TeletextButton
+            color="cyan"
+            onClick={() => setPlan({ line: nextOption(Object.keys(BOWLING_LINES), plan.line) })}
+            disabled={disabled}
+          >
+            LINE: {BOWLING_LINES[plan.line].name}
+          </TeletextButton>
+          <TeletextButton
+            color="green"
+            onClick={() => setPlan({ length: nextOption(Object.keys(BOWLING_LENGTHS), plan.length) })}
+            disabled={disabled}
+          >
+            LENGTH: {BOWLING_LENGTHS[plan.length].name}
+          </TeletextButton>
+          <TeletextButton
+            color="magenta"
+            onClick={() => setPlan({ variation: nextOption(variations, variations.includes(plan.variation) ? plan.variation : null) })}
+            disabled={disabled || variations.length === 1}
+          >
+            VARIATION: {plan.variation ? BOWLING_VARIATIONS[plan.variation].name : 'NONE'}
+          </TeletextButton>
+          <TeletextButton
+            color="yellow"
+            onClick={clearPlan}
+            disabled={disabled || !matchState.userBowlingPlan}
+          >
+            AI PLAN
+          </TeletextButton>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BowlingPlanControls
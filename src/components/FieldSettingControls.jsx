@@ -0,0 +1,36 @@
+import React from 'react'
+import TeletextButton from './TeletextButton'
+import { FIELD_SETTINGS } from '../engine/fieldSettings.js'
+
+const FIELD_ORDER = Object.keys(FIELD_SETTINGS)
+
+/**
+ * FieldSettingControls Component
+ * Lets the user set the field when their side is bowling; the field stays
+ * for their later overs until they change it (the AI captain sets the other side's)
+ */
+const FieldSettingControls = ({ matchState, onChange, disabled = false }) => {
+  if (!matchState.isUserBowling()) return null
+
+  const field = matchState.getFieldForOver()
+
+  // Step through the fields, starting from the one in force
+  const cycleField = () => {
+    matchState.setUserFieldSetting(FIELD_ORDER[(FIELD_ORDER.indexOf(field.id) + 1) % FIELD_ORDER.length])
+    onChange()
+  }
+
+  return (
+    <div className="teletext-block" style={{ marginBottom: '0.5rem' }}>
+      <TeletextButton
+        color="cyan"
+        onClick={cycleField}
+        disabled={disabled}
+      >
+        SET FIELD: {field.name}
+      </TeletextButton>
+    </div>
+  )
+}
+
+export default FieldSettingControls
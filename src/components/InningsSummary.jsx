@@ -10,6 +10,7 @@ const InningsSummary = ({
   teamName,
   totalRuns,
   totalWickets,
+  declared = false,
   overs,
   topBatsmen,
   topBowlers,
@@ -25,7 +26,7 @@ const InningsSummary = ({
 
       <div className="teletext-block teletext-block--blue" style={{ marginBottom: '1rem' }}>
         <div style={{ fontSize: '1.2rem', color: '#FFFF00', textAlign: 'center' }}>
-          {teamName}: {totalRuns}/{totalWickets} ({overs} OVERS)
+          {teamName}: {totalRuns}/{totalWickets}{declared ? ' DEC' : ''} ({overs} OVERS)
         </div>
       </div>
 
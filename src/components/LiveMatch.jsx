@@ -3,7 +3,11 @@ import TeletextPage from './TeletextPage'
 import MatchScorecard from './MatchScorecard'
 import CommentaryFeed from './CommentaryFeed'
 import MatchControls from './MatchControls'
-import { startMatch, simulateBall, simulateOver, MatchState } from '../engine/matchSimulator.js'
+import TeletextButton from './TeletextButton'
+import BowlingPlanControls from './BowlingPlanControls'
+import FieldSettingControls from './FieldSettingControls'
+import BattingIntentControls from './BattingIntentControls'
+import { startMatch, simulateOver, advanceBall, selectLimitedOversBowler, playSuperOver, MatchState } from '../engine/matchSimulator.js'
 import { ProbabilityEngine } from '../engine/probabilityEngine.js'
 import { 
   loadTeam, 
@@ -11,15 +15,39 @@ import {
   formatBowlerStats,
   performToss,
   getMatchPhase,
-  calculateProjectedScore
+  calculateProjectedScore,
+  getRequestedSeed
 } from '../utils/matchHelpers.js'
-import { calculateRunRate, calculateRequiredRate, ballsToOvers } from '../engine/matchUtils.js'
+import { createRandom } from '../engine/random.js'
+import { calculateRunRate, calculateRequiredRate, getMatchWinner, needsSuperOver } from '../engine/matchUtils.js'
+import { MATCH_FORMATS, getMatchFormat } from '../engine/matchConstants.js'
+
+/**
+ * Load the default pair of teams for a limited-overs match
+ */
+const loadDefaultTeams = () => [
+  loadTeam('team_001'), // City Strikers
+  loadTeam('team_002') // Harbor Hawks
+]
+
+/**
+ * Get the bowlers a side will rotate through
+ */
+const getBowlingAttack = (team) => {
+  const bowlers = team.players.filter(p => 
+    p.role === 'bowler' || p.role === 'all_rounder'
+  )
+  // Fallback: use any player
+  return bowlers.length > 0 ? bowlers : [team.players[0]]
+}
 
 /**
  * LiveMatch Component
  * Interactive live match viewer with ball-by-ball simulation
+ * Plays any limited-overs format (T20 by default, ODI on P310, The Hundred on P320)
  */
-const LiveMatch = ({ onNavigate }) => {
+const LiveMatch = ({ onNavigate, format = MATCH_FORMATS.T20.id, loadTeams = loadDefaultTeams, pageNumber = 'P300' }) => {
+  const formatRules = getMatchFormat(format)
   const [matchState, setMatchState] = useState(null)
   const [probabilityEngine, setProbabilityEngine] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
@@ -43,14 +71,16 @@ const LiveMatch = ({ onNavigate }) => {
     
     try {
       // Load teams
-      const team1 = loadTeam('team_001') // City Strikers
-      const team2 = loadTeam('team_002') // Harbor Hawks
+      const [team1, team2] = loadTeams()
       
       setTeam1Data(team1)
       setTeam2Data(team2)
       
+      // One random source drives the toss, conditions and every ball
+      const rng = createRandom(getRequestedSeed())
+      
       // Perform toss
-      const toss = performToss()
+      const toss = performToss(rng)
       setTossResult(toss)
       
       await new Promise(resolve => setTimeout(resolve, 1500))
@@ -66,19 +96,12 @@ const LiveMatch = ({ onNavigate }) => {
       }
       
       // Start match
-      const newMatchState = startMatch(battingTeam, bowlingTeam, { overs: 20 })
+      const newMatchState = startMatch(battingTeam, bowlingTeam, { format, rng })
+      newMatchState.userTeamId = team1.id // The user captains the first side: batting intents, bowling plans and fields
       const engine = new ProbabilityEngine(newMatchState.conditions)
       
       // Set initial bowler
-      const bowlers = bowlingTeam.players.filter(p => 
-        p.role === 'bowler' || p.role === 'all_rounder'
-      )
-      if (bowlers.length > 0) {
-        newMatchState.bowler = bowlers[0]
-      } else {
-        // Fallback: use any player
-        newMatchState.bowler = bowlingTeam.players[0]
-      }
+      newMatchState.bowler = getBowlingAttack(bowlingTeam)[0]
       
       setMatchState(newMatchState)
       setProbabilityEngine(engine)
@@ -96,7 +119,7 @@ const LiveMatch = ({ onNavigate }) => {
     if (!matchState || !probabilityEngine || isSimulating) return
     
     try {
-      const result = simulateBall(matchState, probabilityEngine)
+      advanceBall(matchState, probabilityEngine, getBowlingAttack(matchState.bowlingTeam))
       
       // Check if innings is complete
       if (matchState.isInningsComplete()) {
@@ -147,14 +170,10 @@ const LiveMatch = ({ onNavigate }) => {
       
       // Simulate until innings complete
       while (!matchState.isInningsComplete() && ballCount < maxBalls) {
-        simulateBall(matchState, probabilityEngine)
+        // Changes ends and bowler at the end of each over
+        advanceBall(matchState, probabilityEngine, getBowlingAttack(matchState.bowlingTeam))
         ballCount++
         
-        // Change bowler every over
-        if (matchState.balls % 6 === 0 && !matchState.isInningsComplete()) {
-          rotateBowler()
-        }
-        
         // Update UI every 10 balls
         if (ballCount % 10 === 0) {
           setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
@@ -182,36 +201,37 @@ const LiveMatch = ({ onNavigate }) => {
         matchState.switchInnings()
         
         // Set initial bowler for second innings
-        const bowlers = matchState.bowlingTeam.players.filter(p => 
-          p.role === 'bowler' || p.role === 'all_rounder'
-        )
-        if (bowlers.length > 0) {
-          matchState.bowler = bowlers[0]
-        } else {
-          matchState.bowler = matchState.bowlingTeam.players[0]
-        }
+        matchState.bowler = getBowlingAttack(matchState.bowlingTeam)[0]
         
         setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
         setMatchPhase('playing')
       }, 2000)
     } else {
-      // Match complete
-      setMatchPhase('complete')
+      // Match complete, unless it's a tie that needs a Super Over
+      setMatchPhase(needsSuperOver(matchState) ? 'super_over' : 'complete')
     }
   }
   
-  // Rotate bowler (simplified rotation)
-  const rotateBowler = () => {
-    const bowlers = matchState.bowlingTeam.players.filter(p => 
-      p.role === 'bowler' || p.role === 'all_rounder'
-    )
-    
-    if (bowlers.length === 0) return
+  // Play a Super Over, and another if the scores are still level
+  const handlePlaySuperOver = () => {
+    if (!matchState || !probabilityEngine) return
     
-    // Find current bowler index
-    const currentIndex = bowlers.findIndex(b => b.id === matchState.bowler.id)
-    const nextIndex = (currentIndex + 1) % bowlers.length
-    matchState.bowler = bowlers[nextIndex]
+    try {
+      playSuperOver(matchState, probabilityEngine)
+      
+      if (!needsSuperOver(matchState)) {
+        setMatchPhase('complete')
+      }
+      
+      setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+    } catch (error) {
+      console.error('Error playing Super Over:', error)
+    }
+  }
+  
+  // Rotate bowler (can't bowl consecutive overs, max overs per bowler)
+  const rotateBowler = () => {
+    matchState.bowler = selectLimitedOversBowler(matchState, getBowlingAttack(matchState.bowlingTeam))
   }
   
   // Restart match
@@ -226,24 +246,21 @@ const LiveMatch = ({ onNavigate }) => {
   const getMatchResult = () => {
     if (!matchState || matchState.currentInning === 1) return null
     
-    const target = matchState.innings.first.runs
-    const chasing = matchState.score
-    
-    if (chasing > target) {
-      const wicketsRemaining = 10 - matchState.wickets
-      return `${matchState.battingTeam.name} won by ${wicketsRemaining} wickets`
-    } else if (chasing < target) {
-      const runsMargin = target - chasing
-      return `${matchState.bowlingTeam.name} won by ${runsMargin} runs`
-    } else {
-      return 'Match tied!'
-    }
+    const result = getMatchWinner(matchState)
+    return result.team ? `${result.winner} won ${result.margin}` : 'Match tied!'
   }
   
+  // Super Over scores, one line per Super Over played
+  const renderSuperOvers = () => matchState.superOvers.map(superOver => (
+    <p key={superOver.number} className="teletext-text">
+      SUPER OVER{superOver.number > 1 ? ` ${superOver.number}` : ''}: {superOver.first.team.name} {superOver.first.runs}/{superOver.first.wickets}, {superOver.second.team.name} {superOver.second.runs}/{superOver.second.wickets}
+    </p>
+  ))
+  
   // Loading screen
   if (isLoading) {
     return (
-      <TeletextPage pageNumber="P300" title="MATCH DAY - LIVE">
+      <TeletextPage pageNumber={pageNumber} title="MATCH DAY - LIVE">
         <div className="teletext-block teletext-block--yellow">
           <h2 className="teletext-subtitle">MATCH PREPARATION</h2>
         </div>
@@ -278,7 +295,7 @@ const LiveMatch = ({ onNavigate }) => {
   // Error screen
   if (matchPhase === 'error') {
     return (
-      <TeletextPage pageNumber="P300" title="MATCH DAY - ERROR">
+      <TeletextPage pageNumber={pageNumber} title="MATCH DAY - ERROR">
         <div className="teletext-block teletext-block--red">
           <h2 className="teletext-subtitle">ERROR</h2>
           <p className="teletext-text teletext-text--white">
@@ -307,32 +324,50 @@ const LiveMatch = ({ onNavigate }) => {
   const currentRunRate = calculateRunRate(matchState.score, matchState.balls)
   let requiredRunRate = 0
   let targetInfo = ''
+  let rainInfo = ''
   
   if (matchState.currentInning === 2) {
-    const target = matchState.innings.first.runs + 1
+    const target = matchState.getTarget()
     const needed = target - matchState.score
-    const ballsLeft = (matchState.totalOvers * 6) - matchState.balls
+    const ballsLeft = matchState.getTotalBalls() - matchState.balls
     requiredRunRate = calculateRequiredRate(needed, ballsLeft)
-    targetInfo = `TARGET: ${target} | NEED: ${needed} FROM ${ballsToOvers(ballsLeft)} OV`
+    targetInfo = `${matchState.revisedTarget ? 'REVISED TARGET (DLS)' : 'TARGET'}: ${target} | NEED: ${needed} FROM ${matchState.describeBalls(ballsLeft)}`
+  }
+  
+  // Rain: overs lost so far, and the DLS par score while it threatens the chase
+  if (matchState.interruptions.length > 0) {
+    rainInfo = `RAIN: REDUCED TO ${matchState.describeOvers(matchState.totalOvers).toUpperCase()} A SIDE`
+  }
+  if (matchState.currentInning === 2 && (matchState.revisedTarget || matchState.conditions.getRainInterruptionChance() > 0)) {
+    rainInfo += `${rainInfo ? ' | ' : ''}DLS PAR: ${matchState.getParScore()}`
   }
   
+  // Fielding restrictions in force (The Hundred counts them in balls)
+  const fieldingPhase = matchState.getFieldingPhase()
+  const fieldingPhaseRange = formatRules.countInBalls
+    ? `BALLS ${fieldingPhase.startOver * matchState.ballsPerOver + 1}-${fieldingPhase.endOver * matchState.ballsPerOver}`
+    : `OVERS ${fieldingPhase.startOver + 1}-${fieldingPhase.endOver}`
+  
+  // Field the bowling captain has set for this over
+  const field = matchState.getFieldForOver()
+  
   // Projected score for first innings
   const projectedScore = matchState.currentInning === 1 ? calculateProjectedScore(matchState) : null
   
   // Innings break screen
   if (matchPhase === 'innings_break') {
     return (
-      <TeletextPage pageNumber="P300" title="MATCH DAY - INNINGS BREAK">
+      <TeletextPage pageNumber={pageNumber} title="MATCH DAY - INNINGS BREAK">
         <div className="teletext-block teletext-block--cyan">
           <h2 className="teletext-subtitle">END OF FIRST INNINGS</h2>
         </div>
         
         <div className="teletext-block">
           <p className="teletext-text teletext-text--yellow">
-            {matchState.innings.first.runs}/{matchState.innings.first.wickets} ({matchState.innings.first.overs} OV)
+            {matchState.innings.first.runs}/{matchState.innings.first.wickets} ({matchState.describeBalls(matchState.innings.first.balls)})
           </p>
           <p className="teletext-text teletext-text--white">
-            Target: {matchState.innings.first.runs + 1} runs
+            Target: {matchState.getTarget()} runs{matchState.revisedTarget ? ' (DLS)' : ''}
           </p>
           <p className="teletext-text teletext-text--cyan">
             🏏 SECOND INNINGS STARTING...
@@ -342,12 +377,43 @@ const LiveMatch = ({ onNavigate }) => {
     )
   }
   
+  // Super Over screen - the match is tied
+  if (matchPhase === 'super_over') {
+    return (
+      <TeletextPage pageNumber={pageNumber} title="MATCH DAY - SUPER OVER">
+        <div className="teletext-block teletext-block--magenta">
+          <h2 className="teletext-subtitle">MATCH TIED - SUPER OVER</h2>
+        </div>
+        
+        <div className="teletext-block">
+          <p className="teletext-text teletext-text--yellow">
+            SCORES LEVEL ON {matchState.score}
+          </p>
+          <p className="teletext-text teletext-text--white">
+            One over each, three batters and one bowler a side. Two wickets ends the over.
+          </p>
+          {renderSuperOvers()}
+        </div>
+        
+        <CommentaryFeed commentary={matchState.commentary} maxItems={8} />
+        
+        <div className="match-controls">
+          <div className="match-controls__row">
+            <TeletextButton color="green" onClick={handlePlaySuperOver}>
+              {matchState.superOvers.length === 0 ? 'PLAY SUPER OVER' : 'PLAY ANOTHER SUPER OVER'}
+            </TeletextButton>
+          </div>
+        </div>
+      </TeletextPage>
+    )
+  }
+  
   // Match complete screen
   if (matchPhase === 'complete') {
     const result = getMatchResult()
     
     return (
-      <TeletextPage pageNumber="P300" title="MATCH DAY - RESULT">
+      <TeletextPage pageNumber={pageNumber} title="MATCH DAY - RESULT">
         <div className="teletext-block teletext-block--green">
           <h2 className="teletext-subtitle">MATCH COMPLETE</h2>
         </div>
@@ -361,11 +427,12 @@ const LiveMatch = ({ onNavigate }) => {
         <div className="teletext-block">
           <h3 className="teletext-subtitle">FINAL SCORES</h3>
           <p className="teletext-text">
-            {matchState.team1.name}: {matchState.innings.first.runs}/{matchState.innings.first.wickets} ({matchState.innings.first.overs} ov)
+            {matchState.team1.name}: {matchState.innings.first.runs}/{matchState.innings.first.wickets} ({matchState.describeBalls(matchState.innings.first.balls)})
           </p>
           <p className="teletext-text">
-            {matchState.team2.name}: {matchState.score}/{matchState.wickets} ({ballsToOvers(matchState.balls)} ov)
+            {matchState.team2.name}: {matchState.score}/{matchState.wickets} ({matchState.describeBalls()})
           </p>
+          {renderSuperOvers()}
         </div>
         
         <CommentaryFeed commentary={matchState.commentary} maxItems={8} />
@@ -381,23 +448,42 @@ const LiveMatch = ({ onNavigate }) => {
   
   // Main match screen
   return (
-    <TeletextPage pageNumber="P300" title="MATCH DAY - LIVE">
+    <TeletextPage pageNumber={pageNumber} title="MATCH DAY - LIVE">
       <div className="teletext-block teletext-block--yellow">
         <h2 className="teletext-subtitle">
           {matchState.currentInning === 1 ? 'FIRST INNINGS' : 'SECOND INNINGS - CHASING'}
         </h2>
+        <div style={{ fontSize: '0.9rem', marginTop: '0.3rem' }}>
+          {formatRules.name} - {fieldingPhase.name} ({fieldingPhaseRange}): {fieldingPhase.fieldersOutside} FIELDERS OUTSIDE THE CIRCLE
+        </div>
+        <div style={{ fontSize: '0.75rem', marginTop: '0.3rem' }}>
+          SEED: {matchState.seed}
+        </div>
       </div>
       
       {/* Current Score */}
       <div className="teletext-block teletext-block--blue">
         <div style={{ fontSize: '1.5rem', textAlign: 'center', color: '#FFFF00' }}>
-          {matchState.battingTeam.name}: {matchState.score}/{matchState.wickets} ({ballsToOvers(matchState.balls)} OV)
+          {matchState.battingTeam.name}: {matchState.score}/{matchState.wickets} ({matchState.describeBalls()})
         </div>
         {matchState.currentInning === 2 && (
           <div style={{ textAlign: 'center', marginTop: '0.5rem', color: '#00FF00' }}>
             {targetInfo}
           </div>
         )}
+        {rainInfo && (
+          <div style={{ textAlign: 'center', marginTop: '0.5rem', color: '#00FFFF' }}>
+            {rainInfo}
+          </div>
+        )}
+        {matchState.freeHit && (
+          <div style={{ textAlign: 'center', marginTop: '0.5rem', color: '#FF00FF' }}>
+            ★ FREE HIT ★
+          </div>
+        )}
+        <div style={{ textAlign: 'center', marginTop: '0.5rem', color: '#FFFFFF', fontSize: '0.75rem' }}>
+          FIELD: {field.name} - {field.description.toUpperCase()}
+        </div>
       </div>
       
       {/* Scorecard */}
@@ -405,10 +491,10 @@ const LiveMatch = ({ onNavigate }) => {
         <MatchScorecard
           team1Name={matchState.battingTeam.name}
           team1Score={`${matchState.score}/${matchState.wickets}`}
-          team1Overs={ballsToOvers(matchState.balls)}
+          team1Overs={formatRules.countInBalls ? matchState.balls : matchState.getCurrentOver()}
           team2Name={matchState.bowlingTeam.name}
           team2Score={matchState.currentInning === 2 ? `${matchState.innings.first.runs}/${matchState.innings.first.wickets}` : '-'}
-          team2Overs={matchState.currentInning === 2 ? matchState.innings.first.overs : '-'}
+          team2Overs={matchState.currentInning === 2 ? (formatRules.countInBalls ? matchState.innings.first.balls : matchState.innings.first.overs) : '-'}
           batsmen={[
             { 
               name: striker.name, 
@@ -429,14 +515,34 @@ const LiveMatch = ({ onNavigate }) => {
           ]}
           bowler={{
             name: bowler.name,
-            overs: bowler.overs,
+            overs: formatRules.countInBalls ? bowler.balls : bowler.overs,
             maidens: bowler.maidens,
             runs: bowler.runs,
             wickets: bowler.wickets
           }}
+          countInBalls={formatRules.countInBalls}
         />
       )}
       
+      {/* Batting intents, bowling plan and field - the user sets their own side's */}
+      <BattingIntentControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={isSimulating}
+      />
+
+      <BowlingPlanControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={isSimulating}
+      />
+
+      <FieldSettingControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={isSimulating}
+      />
+      
       {/* Match Stats */}
       <div className="teletext-block">
         <div className="teletext-grid">
@@ -475,6 +581,7 @@ const LiveMatch = ({ onNavigate }) => {
         onBackToMenu={() => onNavigate('P100')}
         isMatchComplete={false}
         isSimulating={isSimulating}
+        overLabel={formatRules.countInBalls ? 'NEXT SET' : 'NEXT OVER'}
       />
     </TeletextPage>
   )
@@ -12,7 +12,8 @@ const MatchControls = ({
   onRestartMatch,
   onBackToMenu,
   isMatchComplete = false,
-  isSimulating = false
+  isSimulating = false,
+  overLabel = 'NEXT OVER'
 }) => {
   return (
     <div className="match-controls">
@@ -29,7 +30,7 @@ const MatchControls = ({
           onClick={onNextOver}
           disabled={isMatchComplete || isSimulating}
         >
-          NEXT OVER
+          {overLabel}
         </TeletextButton>
         <TeletextButton 
           color="yellow" 
@@ -3,6 +3,7 @@ import React from 'react'
 /**
  * MatchScorecard Component
  * Displays cricket match scores in authentic teletext table format
+ * Set countInBalls for The Hundred, where innings and spells are counted in balls
  */
 const MatchScorecard = ({ 
   team1Name = "ENGLAND",
@@ -15,8 +16,10 @@ const MatchScorecard = ({
     { name: "J. ROOT", runs: 47, balls: 32, fours: 4, sixes: 1, status: "*" },
     { name: "B. STOKES", runs: 23, balls: 18, fours: 2, sixes: 1, status: "" }
   ],
-  bowler = { name: "M. STARC", overs: "3.3", maidens: 0, runs: 28, wickets: 2 }
+  bowler = { name: "M. STARC", overs: "3.3", maidens: 0, runs: 28, wickets: 2 },
+  countInBalls = false
 }) => {
+  const unit = countInBalls ? 'BALLS' : 'OV'
   return (
     <div className="teletext-scorecard">
       {/* Team Scores */}
@@ -24,13 +27,13 @@ const MatchScorecard = ({
         <div className="teletext-scorecard-team teletext-scorecard-team--home">
           <div className="teletext-scorecard-team__name">{team1Name}</div>
           <div className="teletext-scorecard-team__score">{team1Score}</div>
-          <div className="teletext-scorecard-team__overs">({team1Overs} OV)</div>
+          <div className="teletext-scorecard-team__overs">({team1Overs} {unit})</div>
         </div>
         <div className="teletext-scorecard-divider">VS</div>
         <div className="teletext-scorecard-team teletext-scorecard-team--away">
           <div className="teletext-scorecard-team__name">{team2Name}</div>
           <div className="teletext-scorecard-team__score">{team2Score}</div>
-          <div className="teletext-scorecard-team__overs">({team2Overs} OV)</div>
+          <div className="teletext-scorecard-team__overs">({team2Overs} {unit})</div>
         </div>
       </div>
 
@@ -63,7 +66,7 @@ const MatchScorecard = ({
         <div className="teletext-scorecard-table">
           <div className="teletext-scorecard-table__header">
             <span className="col-name">BOWLER</span>
-            <span className="col-overs">O</span>
+            <span className="col-overs">{countInBalls ? 'B' : 'O'}</span>
             <span className="col-maidens">M</span>
             <span className="col-runs">R</span>
             <span className="col-wickets">W</span>
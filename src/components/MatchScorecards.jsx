@@ -44,6 +44,18 @@ const MatchScorecards = ({ matchState, team1Data, team2Data, onBack }) => {
     ).join(', ')
   }
   
+  // Format fielding dismissals for display, e.g. "Carey 3 ct 1 st"
+  const formatFielding = (fieldingCard) => {
+    return fieldingCard.map(f => {
+      const parts = []
+      if (f.catches) parts.push(`${f.catches} ct`)
+      if (f.stumpings) parts.push(`${f.stumpings} st`)
+      if (f.runOuts) parts.push(`${f.runOuts} ro`)
+      if (f.chancesMissed) parts.push(`(${f.chancesMissed} missed)`)
+      return `${f.name} ${parts.join(' ')}`
+    }).join(', ')
+  }
+  
   return (
     <div className="teletext-page">
       <div className="teletext-block teletext-block--cyan" style={{ marginBottom: '1rem' }}>
@@ -215,6 +227,18 @@ const MatchScorecards = ({ matchState, team1Data, team2Data, onBack }) => {
               </div>
             )}
             
+            {/* Fielding */}
+            {inn.data.fieldingCard && inn.data.fieldingCard.length > 0 && (
+              <div className="teletext-block" style={{ marginBottom: '1rem' }}>
+                <p style={{ color: '#00FFFF', fontSize: '0.75rem', marginBottom: '0.3rem' }}>
+                  <strong>FIELDING:</strong>
+                </p>
+                <p style={{ color: '#FFFFFF', fontSize: '0.75rem', lineHeight: '1.4' }}>
+                  {formatFielding(inn.data.fieldingCard)}
+                </p>
+              </div>
+            )}
+            
             {/* Fall of Wickets */}
             {inn.data.fallOfWickets && inn.data.fallOfWickets.length > 0 && (
               <div className="teletext-block" style={{ marginBottom: '1rem' }}>
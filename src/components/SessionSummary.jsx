@@ -14,6 +14,9 @@ const SessionSummary = ({
   totalRuns,
   totalWickets,
   overs,
+  oversLost = 0,
+  oversMadeUp = 0,
+  stoppages = [],
   topBatsmen,
   topBowlers,
   onContinue
@@ -58,6 +61,22 @@ const SessionSummary = ({
         </div>
       </div>
 
+      {/* Time lost to rain and bad light */}
+      {(oversLost > 0 || oversMadeUp > 0) && (
+        <div className="teletext-block" style={{ marginBottom: '1rem' }}>
+          {stoppages.map((stoppage, idx) => (
+            <div key={idx} style={{ color: '#00FFFF' }}>
+              {stoppage.washout ? 'NO PLAY - RAIN' : stoppage.reason === 'bad_light' ? 'BAD LIGHT' : 'RAIN DELAY'}: {stoppage.overs} OVERS LOST
+            </div>
+          ))}
+          {oversMadeUp > 0 && (
+            <div style={{ color: '#00FF00' }}>
+              {session === 1 ? 'EARLY START' : 'EXTRA HALF HOUR'}: {oversMadeUp} OVERS MADE UP
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Top Batsmen */}
       {topBatsmen && topBatsmen.length > 0 && (
         <div className="teletext-block" style={{ marginBottom: '1rem' }}>
@@ -6,22 +6,27 @@ import InningsSummary from './InningsSummary'
 import CommentaryFeed from './CommentaryFeed'
 import MatchScorecards from './MatchScorecards'
 import TeletextButton from './TeletextButton'
-import { TestMatchState, simulateTestBall } from '../engine/testMatchSimulator.js'
+import BowlingPlanControls from './BowlingPlanControls'
+import FieldSettingControls from './FieldSettingControls'
+import BattingIntentControls from './BattingIntentControls'
+import { TestMatchState, startTestInnings, advanceTestBall, resolvePendingReview, takeSessionBreak, completeTestInnings, resolveFollowOn } from '../engine/testMatchSimulator.js'
 import { TestProbabilityEngine } from '../engine/testProbabilityEngine.js'
 import { MatchConditions } from '../engine/matchConditions.js'
-import { BowlingManager } from '../engine/bowlingManager.js'
-import { getEnglandSquad, getAustraliaSquad, selectTestXI, getBowlers, performToss } from '../utils/ashesHelpers.js'
+import { getEnglandSquad, getAustraliaSquad, selectTestXI, performToss } from '../utils/ashesHelpers.js'
 import { ballsToOvers } from '../engine/matchUtils.js'
-import { getTopBatsmen, getTopBowlers } from '../utils/matchHelpers.js'
+import { getTopBatsmen, getTopBowlers, getRequestedSeed } from '../utils/matchHelpers.js'
+import { createRandom } from '../engine/random.js'
+import { describeBall } from '../engine/ballCondition.js'
+import { saveTestMatch, loadTestMatch, clearSavedTestMatch } from '../utils/matchStorage.js'
 
 /**
  * TestMatchLive Component
  * Main component for playing The Ashes 2025 Test match
+ * Pass resume to continue the match saved in local storage
  */
-const TestMatchLive = ({ onNavigate }) => {
+const TestMatchLive = ({ onNavigate, resume = false }) => {
   const [matchState, setMatchState] = useState(null)
   const [probabilityEngine, setProbabilityEngine] = useState(null)
-  const [bowlingManager, setBowlingManager] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
   const [isSimulating, setIsSimulating] = useState(false)
   const [matchPhase, setMatchPhase] = useState('toss')
@@ -33,12 +38,71 @@ const TestMatchLive = ({ onNavigate }) => {
   const [showInningsSummary, setShowInningsSummary] = useState(false)
   const [inningsSummaryData, setInningsSummaryData] = useState(null)
   const [showScorecards, setShowScorecards] = useState(false)
+  const [checkResumedBreak, setCheckResumedBreak] = useState(false)
   
-  // Initialize match on component mount
+  // Initialize (or resume) match on component mount
   useEffect(() => {
-    initializeMatch()
+    if (resume) {
+      resumeMatch()
+    } else {
+      initializeMatch()
+    }
   }, [])
   
+  // Save the match automatically at the end of each over, session and innings
+  useEffect(() => {
+    if (!matchState || !team1Data || !team2Data) return
+    
+    // Mid-over the match resumes from the end of the last over
+    const atBreak = matchState.balls % 6 === 0 || matchState.isSessionComplete() || matchState.pendingFollowOn
+    
+    if (matchPhase === 'complete') {
+      clearSavedTestMatch()
+    } else if (matchPhase === 'playing' && atBreak && !matchState.pendingReview) {
+      // A ball waiting on a review isn't saved - the match resumes from before it
+      saveTestMatch(matchState, {
+        team1Id: team1Data.id,
+        team2Id: team2Data.id,
+        tossResult
+      })
+    }
+  }, [matchState, matchPhase])
+  
+  // A match saved at a session or innings break resumes at that break
+  useEffect(() => {
+    if (!checkResumedBreak || !matchState) return
+    setCheckResumedBreak(false)
+    
+    // A follow-on decision is still waiting - the prompt is on the live page
+    if (matchState.pendingFollowOn) return
+    
+    if (matchState.isInningsComplete()) {
+      handleInningsComplete()
+    } else if (matchState.isSessionComplete()) {
+      handleSessionBreak()
+    }
+  }, [checkResumedBreak, matchState])
+  
+  const resumeMatch = () => {
+    const saved = loadTestMatch()
+    if (!saved) {
+      initializeMatch()
+      return
+    }
+    
+    const { matchState: savedState, ui } = saved
+    const teams = [savedState.team1, savedState.team2]
+    
+    setTeam1Data(teams.find(t => t.id === ui.team1Id) || savedState.team1)
+    setTeam2Data(teams.find(t => t.id === ui.team2Id) || savedState.team2)
+    setTossResult(ui.tossResult || null)
+    setMatchState(savedState)
+    setProbabilityEngine(new TestProbabilityEngine(savedState.conditions))
+    setMatchPhase('playing')
+    setCheckResumedBreak(true)
+    setIsLoading(false)
+  }
+  
   const initializeMatch = async () => {
     setIsLoading(true)
     setMatchPhase('toss')
@@ -55,9 +119,12 @@ const TestMatchLive = ({ onNavigate }) => {
       setTeam1Data(england)
       setTeam2Data(australia)
       
+      // One random source drives the toss, conditions and every ball
+      const rng = createRandom(getRequestedSeed())
+      
       // Perform toss
       await new Promise(resolve => setTimeout(resolve, 1000))
-      const toss = performToss()
+      const toss = performToss(rng)
       setTossResult(toss)
       
       await new Promise(resolve => setTimeout(resolve, 1500))
@@ -73,28 +140,19 @@ const TestMatchLive = ({ onNavigate }) => {
       }
       
       // Create match conditions for Test cricket
-      const conditions = MatchConditions.generateRandom('Test')
+      const conditions = MatchConditions.generateRandom('Test', rng)
       conditions.updatePitchWearByDay(1)
       
       // Start match
-      const newMatchState = new TestMatchState(battingTeam, bowlingTeam, conditions)
+      const newMatchState = new TestMatchState(battingTeam, bowlingTeam, conditions, rng)
+      newMatchState.userTeamId = england.id // The user captains England: reviews, batting intents, bowling plans and fields
       const engine = new TestProbabilityEngine(conditions)
       
-      // Initialize batsmen
-      newMatchState.initializeBatsmen(battingTeam.players)
-      
-      // Set initial bowler and create bowling manager
-      const bowlers = getBowlers(bowlingTeam.players)
-      const manager = new BowlingManager(bowlers)
-      
-      if (bowlers.length > 0) {
-        newMatchState.bowler = manager.selectNextBowler(0, newMatchState, null)
-        newMatchState.currentBowlerOvers = 0
-      }
+      // Initialize batsmen and bowling attack
+      startTestInnings(newMatchState)
       
       setMatchState(newMatchState)
       setProbabilityEngine(engine)
-      setBowlingManager(manager)
       setMatchPhase('playing')
       setIsLoading(false)
     } catch (error) {
@@ -109,7 +167,13 @@ const TestMatchLive = ({ onNavigate }) => {
     if (!matchState || !probabilityEngine || isSimulating) return
     
     try {
-      const result = simulateTestBall(matchState, probabilityEngine)
+      const result = advanceTestBall(matchState, probabilityEngine)
+      
+      // Wait for the user to decide whether to review
+      if (result.awaitingReview) {
+        setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+        return
+      }
       
       // Check for session/innings completion
       if (matchState.isSessionComplete() && !matchState.isInningsComplete()) {
@@ -132,25 +196,18 @@ const TestMatchLive = ({ onNavigate }) => {
     setIsSimulating(true)
     
     try {
-      // Calculate balls remaining in current over
-      const ballsInCurrentOver = matchState.balls % 6
-      const ballsToSimulate = ballsInCurrentOver === 0 ? 6 : (6 - ballsInCurrentOver)
+      let isOverComplete = false
       
-      let legalBalls = 0
-      
-      // Simulate remaining balls to complete the over
-      while (legalBalls < ballsToSimulate && !matchState.isInningsComplete() && !matchState.isSessionComplete()) {
-        const result = simulateTestBall(matchState, probabilityEngine)
-        if (result.isLegalDelivery) legalBalls++
+      // Simulate remaining balls to complete the over (ends and bowler change inside advanceTestBall)
+      while (!isOverComplete && !matchState.isInningsComplete() && !matchState.isSessionComplete()) {
+        const result = advanceTestBall(matchState, probabilityEngine)
+        isOverComplete = result.isLegalDelivery && matchState.balls % 6 === 0
         
         await new Promise(resolve => setTimeout(resolve, 50))
         setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
-      }
-      
-      // Rotate strike at end of over
-      if (legalBalls === ballsToSimulate && !matchState.isInningsComplete()) {
-        matchState.rotateStrike()
-        rotateBowler()
+        
+        // Stop for the user's review decision
+        if (result.awaitingReview) return
       }
       
       // Check for session/innings completion
@@ -176,18 +233,16 @@ const TestMatchLive = ({ onNavigate }) => {
     
     try {
       let ballCount = 0
-      const maxBalls = 180 // 30 overs max per session
+      const maxBalls = matchState.getSessionOvers() * 6 // Session length after lost time and make-up
       
       while (!matchState.isSessionComplete() && !matchState.isInningsComplete() && ballCount < maxBalls) {
-        simulateTestBall(matchState, probabilityEngine)
+        const result = advanceTestBall(matchState, probabilityEngine)
         ballCount++
         
-        // CRITICAL FIX: Only change bowler at END of over (after 6 legal balls)
-        // Check if over is complete (balls % 6 === 0) AND bowler has bowled enough
-        const isOverComplete = matchState.balls % 6 === 0
-        if (isOverComplete && matchState.currentBowlerOvers >= 6) {
-          rotateBowler()
-          matchState.rotateStrike() // Rotate strike at end of over
+        // Stop for the user's review decision
+        if (result.awaitingReview) {
+          setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+          return
         }
         
         // Update UI periodically
@@ -211,25 +266,59 @@ const TestMatchLive = ({ onNavigate }) => {
     }
   }
   
-  // Handle session break
-  const handleSessionBreak = () => {
-    // Check if this is end of day (session 3 complete)
-    if (matchState.session === 3) {
-      // End of day - reset spell tracking completely
-      if (bowlingManager) {
-        bowlingManager.resetSpellsForEndOfDay()
-      }
-    } else {
-      // Lunch or Tea - partial reset (allow bowlers to bowl again but track cumulative)
-      if (bowlingManager) {
-        bowlingManager.resetSpellsForSessionBreak()
-      }
+  // Review the umpire's decision, or accept it
+  const handleReviewDecision = (review) => {
+    if (!matchState || !matchState.pendingReview) return
+    
+    resolvePendingReview(matchState, review)
+    
+    if (matchState.isSessionComplete() && !matchState.isInningsComplete()) {
+      handleSessionBreak()
+    } else if (matchState.isInningsComplete()) {
+      handleInningsComplete()
     }
     
+    setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+  }
+  
+  // Close the innings at the current score
+  const handleDeclare = () => {
+    if (!matchState || !matchState.canDeclare() || isSimulating) return
+    
+    matchState.declareInnings()
+    handleInningsComplete()
+    
+    setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+  }
+  
+  // Make the opposition follow on, or bat again
+  const handleFollowOnDecision = (enforce) => {
+    if (!matchState || !matchState.pendingFollowOn) return
+    
+    if (!resolveFollowOn(matchState, enforce)) {
+      setMatchPhase('complete')
+      return
+    }
+    
+    setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+  }
+  
+  // Take the new ball for the next over
+  const handleTakeNewBall = () => {
+    if (!matchState || !matchState.isNewBallDue()) return
+    
+    matchState.takeNewBall()
+    setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
+  }
+  
+  // Handle session break
+  const handleSessionBreak = () => {
     // Get top batsmen and bowlers
     const topBatsmen = getTopBatsmen(matchState.batsmanStats, matchState.battingTeam.players, 3)
     const topBowlers = getTopBowlers(matchState.bowlerStats, matchState.bowlingTeam.players, 3)
     
+    const plan = matchState.sessionPlan
+    
     const summary = {
       day: matchState.day,
       session: matchState.session,
@@ -239,6 +328,9 @@ const TestMatchLive = ({ onNavigate }) => {
       totalRuns: matchState.score,
       totalWickets: matchState.wickets,
       overs: ballsToOvers(matchState.balls),
+      oversLost: plan ? plan.lost : 0,
+      oversMadeUp: plan ? plan.madeUp : 0,
+      stoppages: plan ? plan.stoppages : [],
       topBatsmen,
       topBowlers
     }
@@ -250,7 +342,16 @@ const TestMatchLive = ({ onNavigate }) => {
   // Continue from session break
   const handleContinueFromBreak = () => {
     setShowSessionSummary(false)
-    matchState.nextSession()
+    takeSessionBreak(matchState)
+    
+    // Stumps on the final day - match drawn
+    if (matchState.isMatchComplete()) {
+      setMatchPhase('complete')
+    } else if (matchState.isSessionComplete()) {
+      // Next session washed out - straight to its break
+      handleSessionBreak()
+    }
+    
     setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
   }
   
@@ -258,6 +359,11 @@ const TestMatchLive = ({ onNavigate }) => {
   const handleContinueFromInnings = () => {
     setShowInningsSummary(false)
     setMatchPhase('playing')
+    
+    // The innings ended on the last over of the session
+    if (matchState.isSessionComplete()) {
+      handleSessionBreak()
+    }
   }
   
   // Handle innings completion
@@ -271,6 +377,7 @@ const TestMatchLive = ({ onNavigate }) => {
       teamName: matchState.battingTeam.name,
       totalRuns: matchState.score,
       totalWickets: matchState.wickets,
+      declared: matchState.declared,
       overs: ballsToOvers(matchState.balls),
       topBatsmen,
       topBowlers
@@ -281,86 +388,21 @@ const TestMatchLive = ({ onNavigate }) => {
     
     // Switch innings in background
     setTimeout(() => {
-      // Add innings summary commentary
-      const inningsSummary = `END OF INNINGS: ${matchState.battingTeam.name} ${matchState.score}/${matchState.wickets}`
-      matchState.commentary.push(inningsSummary)
-      
-      // Switch to next innings
-      matchState.switchInnings()
-      
-      // Check if match is now complete (after switching)
-      // This will catch innings victories detected in isMatchComplete()
-      if (matchState.isMatchComplete()) {
+      // Switch to next innings - innings victories and completed chases end the match
+      if (!completeTestInnings(matchState)) {
         setShowInningsSummary(false)
         setMatchPhase('complete')
         return
       }
       
-      // Clear waiting message
-      matchState.commentary = matchState.commentary.filter(c => 
-        !c.toLowerCase().includes('waiting for match')
-      )
-      
-      // Add innings start commentary
-      if (matchState.inningsNumber === 2) {
-        const trail = matchState.allInnings.first.runs
-        matchState.commentary.push(`${matchState.battingTeam.name} begin their reply...`)
-        matchState.commentary.push(`They need ${trail + 1} runs to avoid follow-on`)
-      } else if (matchState.inningsNumber === 3) {
-        if (matchState.followOnEnforced) {
-          matchState.commentary.push(`FOLLOW-ON ENFORCED!`)
-          matchState.commentary.push(`${matchState.battingTeam.name} bat again...`)
-        } else {
-          matchState.commentary.push(`3rd innings begins...`)
-          matchState.commentary.push(`${matchState.battingTeam.name} bat again`)
-        }
-      } else if (matchState.inningsNumber === 4) {
-        const team1Total = matchState.allInnings.first.runs + matchState.allInnings.third.runs
-        const team2Total = matchState.allInnings.second.runs
-        const target = team1Total - team2Total + 1
-        matchState.commentary.push(`FINAL INNINGS`)
-        matchState.commentary.push(`${matchState.battingTeam.name} need ${target} runs to win`)
-      }
-      
-      // Initialize new innings
-      matchState.initializeBatsmen(matchState.battingTeam.players)
-      
-      // Set initial bowler
-      const bowlers = getBowlers(matchState.bowlingTeam.players)
-      const manager = new BowlingManager(bowlers)
-      
-      if (bowlers.length > 0) {
-        matchState.bowler = manager.selectNextBowler(0, matchState, null)
-        matchState.currentBowlerOvers = 0
-      }
-      
-      setBowlingManager(manager)
       setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))
     }, 1000)
   }
   
-  // Rotate bowler using BowlingManager
-  const rotateBowler = () => {
-    if (!bowlingManager) return
-    
-    const currentOver = Math.floor(matchState.balls / 6)
-    const previousBowler = matchState.bowler
-    
-    // CRITICAL FIX: Always update spell tracking (every over)
-    bowlingManager.updateSpell(previousBowler, currentOver)
-    
-    // ALWAYS select next bowler (can't bowl consecutive overs)
-    // Pass previousBowler to ensure they are excluded from selection
-    const nextBowler = bowlingManager.selectNextBowler(currentOver, matchState, previousBowler)
-    matchState.bowler = nextBowler
-    matchState.currentBowlerOvers = 0
-  }
-  
   // Restart match
   const handleRestartMatch = () => {
     setMatchState(null)
     setProbabilityEngine(null)
-    setBowlingManager(null)
     setTossResult(null)
     setShowSessionSummary(false)
     setShowInningsSummary(false)
@@ -378,6 +420,7 @@ const TestMatchLive = ({ onNavigate }) => {
       balls: stats.balls,
       fours: stats.fours,
       sixes: stats.sixes,
+      fitness: Math.round(batsman.fitness),
       status: isStriker ? '*' : ''
     }
   }
@@ -589,6 +632,12 @@ const TestMatchLive = ({ onNavigate }) => {
     .filter(p => p)
     .map(p => formatBowler(p, p.id === matchState.bowler.id))
   
+  const pendingReview = matchState.pendingReview
+  const field = matchState.getFieldForOver()
+  const userTeam = team1Data.id === matchState.userTeamId ? team1Data : team2Data
+  const pendingFollowOn = matchState.pendingFollowOn
+  const controlsDisabled = isSimulating || Boolean(pendingReview) || pendingFollowOn
+  
   return (
     <TeletextPage pageNumber="P300" title="THE ASHES 2025 - LIVE">
       <div className="teletext-block teletext-block--yellow">
@@ -598,6 +647,9 @@ const TestMatchLive = ({ onNavigate }) => {
         <div style={{ color: '#000000', fontSize: '0.9rem', marginTop: '0.3rem' }}>
           {matchState.getMatchStatus()}
         </div>
+        <div style={{ color: '#000000', fontSize: '0.75rem', marginTop: '0.3rem' }}>
+          SEED: {matchState.seed}
+        </div>
       </div>
       
       {/* Current Score */}
@@ -608,6 +660,12 @@ const TestMatchLive = ({ onNavigate }) => {
         <div style={{ textAlign: 'center', color: '#00FF00', fontSize: '0.9rem' }}>
           ({ballsToOvers(matchState.balls)} OVERS)
         </div>
+        <div style={{ textAlign: 'center', color: '#00FFFF', fontSize: '0.75rem', marginTop: '0.3rem' }}>
+          REVIEWS: {team1Data.name} {matchState.getReviewsRemaining(team1Data)} | {team2Data.name} {matchState.getReviewsRemaining(team2Data)} | BALL: {matchState.getBallAge()} OVERS OLD, {describeBall(matchState.ball)}
+        </div>
+        <div style={{ textAlign: 'center', color: '#FFFFFF', fontSize: '0.75rem', marginTop: '0.3rem' }}>
+          FIELD: {field.name} - {field.description.toUpperCase()}
+        </div>
       </div>
       
       {/* Scorecard */}
@@ -620,10 +678,88 @@ const TestMatchLive = ({ onNavigate }) => {
           overs={ballsToOvers(matchState.balls)}
           batsmen={[striker, nonStriker]}
           bowlers={allBowlers.slice(0, 5)}
+          extras={{
+            w: matchState.extras.wides,
+            nb: matchState.extras.noBalls,
+            b: matchState.extras.byes,
+            lb: matchState.extras.legByes
+          }}
           fallOfWickets={matchState.fallOfWickets.slice(-3)}
         />
       )}
       
+      {/* Review prompt - the ball is played out once the user decides */}
+      {pendingReview && (
+        <div className="teletext-block teletext-block--red" style={{ marginBottom: '0.5rem' }}>
+          <p className="teletext-text teletext-text--white" style={{ marginBottom: '0.3rem' }}>
+            {pendingReview.commentary}
+          </p>
+          <p className="teletext-text teletext-text--yellow" style={{ marginBottom: '0.5rem' }}>
+            {pendingReview.decision.wicketType === 'lbw' ? 'LBW' : 'CAUGHT BEHIND'}: {pendingReview.decision.givenOut ? 'GIVEN OUT' : 'NOT OUT'} - REVIEW? ({matchState.getReviewsRemaining(userTeam)} LEFT)
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <TeletextButton color="green" onClick={() => handleReviewDecision(true)}>
+              REVIEW
+            </TeletextButton>
+            <TeletextButton color="yellow" onClick={() => handleReviewDecision(false)}>
+              ACCEPT DECISION
+            </TeletextButton>
+          </div>
+        </div>
+      )}
+      
+      {/* Follow-on prompt - the 3rd innings starts once the user decides */}
+      {pendingFollowOn && (
+        <div className="teletext-block teletext-block--red" style={{ marginBottom: '0.5rem' }}>
+          <p className="teletext-text teletext-text--yellow" style={{ marginBottom: '0.5rem' }}>
+            {matchState.battingTeam.name} TRAIL BY {matchState.allInnings.first.runs - matchState.score} - ENFORCE THE FOLLOW-ON?
+          </p>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '0.5rem' }}>
+            <TeletextButton color="green" onClick={() => handleFollowOnDecision(true)}>
+              ENFORCE FOLLOW-ON
+            </TeletextButton>
+            <TeletextButton color="yellow" onClick={() => handleFollowOnDecision(false)}>
+              BAT AGAIN
+            </TeletextButton>
+          </div>
+        </div>
+      )}
+      
+      {/* New ball prompt - due after 80 overs, taken between overs */}
+      {matchState.isUserBowling() && matchState.isNewBallDue() && (
+        <div className="teletext-block teletext-block--red" style={{ marginBottom: '0.5rem' }}>
+          <p className="teletext-text teletext-text--yellow" style={{ marginBottom: '0.5rem' }}>
+            NEW BALL DUE - THE BALL IS {matchState.getBallAge()} OVERS OLD
+          </p>
+          <TeletextButton
+            color="green"
+            onClick={handleTakeNewBall}
+            disabled={controlsDisabled || matchState.balls % 6 !== 0}
+          >
+            TAKE NEW BALL
+          </TeletextButton>
+        </div>
+      )}
+      
+      {/* Batting intents, bowling plan and field - the user sets their own side's */}
+      <BattingIntentControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={controlsDisabled}
+      />
+
+      <BowlingPlanControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={controlsDisabled}
+      />
+
+      <FieldSettingControls
+        matchState={matchState}
+        onChange={() => setMatchState(Object.assign(Object.create(Object.getPrototypeOf(matchState)), matchState))}
+        disabled={controlsDisabled}
+      />
+      
       {/* Commentary */}
       <CommentaryFeed commentary={matchState.commentary} maxItems={4} />
       
@@ -633,21 +769,21 @@ const TestMatchLive = ({ onNavigate }) => {
           <TeletextButton 
             color="green" 
             onClick={handleNextBall}
-            disabled={isSimulating}
+            disabled={controlsDisabled}
           >
             NEXT BALL
           </TeletextButton>
           <TeletextButton 
             color="cyan" 
             onClick={handleNextOver}
-            disabled={isSimulating}
+            disabled={controlsDisabled}
           >
             NEXT OVER
           </TeletextButton>
           <TeletextButton 
             color="yellow" 
             onClick={handleNextSession}
-            disabled={isSimulating}
+            disabled={controlsDisabled}
           >
             NEXT SESSION
           </TeletextButton>
@@ -659,6 +795,13 @@ const TestMatchLive = ({ onNavigate }) => {
             NEW MATCH
           </TeletextButton>
         </div>
+        {matchState.isUserBatting() && matchState.canDeclare() && (
+          <div style={{ marginTop: '0.5rem' }}>
+            <TeletextButton color="magenta" onClick={handleDeclare} disabled={controlsDisabled}>
+              DECLARE
+            </TeletextButton>
+          </div>
+        )}
         <div style={{ marginTop: '0.5rem' }}>
           <TeletextButton color="red" onClick={() => onNavigate('P100')}>
             ◄ BACK TO MAIN MENU
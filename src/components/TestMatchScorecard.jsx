@@ -3,6 +3,7 @@ import React from 'react'
 /**
  * TestMatchScorecard Component
  * Traditional Test match scorecard in Ceefax/teletext style
+ * The batter line shows fitness (FIT) - red once a long innings has tired them
  */
 const TestMatchScorecard = ({ 
   teamName, 
@@ -35,7 +36,7 @@ const TestMatchScorecard = ({
         <div style={{ marginBottom: '1rem' }}>
           <div style={{ 
             display: 'grid', 
-            gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr',
+            gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr',
             gap: '0.5rem',
             borderBottom: '1px solid #666',
             paddingBottom: '0.3rem',
@@ -48,13 +49,14 @@ const TestMatchScorecard = ({
             <div style={{ textAlign: 'right' }}>B</div>
             <div style={{ textAlign: 'right' }}>4s</div>
             <div style={{ textAlign: 'right' }}>6s</div>
+            <div style={{ textAlign: 'right' }}>FIT</div>
           </div>
           {batsmen.map((batsman, idx) => (
             <div 
               key={idx}
               style={{ 
                 display: 'grid', 
-                gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr',
+                gridTemplateColumns: '2fr 1fr 1fr 1fr 1fr 1fr',
                 gap: '0.5rem',
                 paddingBottom: '0.3rem',
                 fontSize: '0.9rem'
@@ -72,6 +74,9 @@ const TestMatchScorecard = ({
               <div style={{ textAlign: 'right' }}>{batsman.balls}</div>
               <div style={{ textAlign: 'right' }}>{batsman.fours}</div>
               <div style={{ textAlign: 'right' }}>{batsman.sixes}</div>
+              <div style={{ textAlign: 'right', color: batsman.fitness < 70 ? '#FF0000' : '#FFFFFF' }}>
+                {batsman.fitness !== undefined ? `${batsman.fitness}%` : ''}
+              </div>
             </div>
           ))}
           {extras && (
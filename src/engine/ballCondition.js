@@ -0,0 +1,115 @@
+/**
+ * Ball Condition - The shine and roughness of the ball in use
+ *
+ * Implements:
+ * - A new ball has full shine and no roughness; every legal delivery takes off
+ *   shine and scuffs it, at rates set by the pitch surface and the weather
+ *   (MatchConditions.getBallWearRates)
+ * - Conventional swing needs the shine, so it fades as the ball ages
+ * - Reverse swing comes with a rough, dull ball - but only for fast bowlers with
+ *   the skill (bowling.variation) to use it
+ * - Spinners grip a rough ball
+ */
+
+// Shine lost and roughness gained per legal delivery on a neutral surface
+export const BALL_WEAR_PER_DELIVERY = { shine: 0.2, roughness: 0.15 }
+
+// Seam styles quick enough to reverse the old ball
+const REVERSE_SWING_STYLES = ['fast', 'fast_medium']
+
+// Swing below which a seamer's ball is doing nothing
+const DEAD_BALL_MOVEMENT = 0.2
+
+/**
+ * Create a new ball
+ * @returns {Object} Ball condition { shine, roughness } (0-100)
+ */
+export function createBall() {
+  return { shine: 100, roughness: 0 }
+}
+
+/**
+ * Wear the ball by one legal delivery
+ * @param {Object} ball - Ball condition
+ * @param {Object} rates - Shine and roughness change per delivery
+ * @param {number} share - Share of the deliveries bowled with this ball (0.5 with a new ball at each end)
+ */
+export function wearBall(ball, rates, share = 1) {
+  ball.shine = Math.max(0, ball.shine - rates.shine * share)
+  ball.roughness = Math.min(100, ball.roughness + rates.roughness * share)
+}
+
+/**
+ * Get how much the ball swings conventionally (1 when new, falling away with the shine)
+ * @param {Object} ball - Ball condition
+ * @returns {number} Conventional swing (0-1)
+ */
+export function getConventionalSwing(ball) {
+  return (ball.shine / 100) ** 2
+}
+
+/**
+ * Get how much the ball can reverse - it needs one side rough and no shine left
+ * @param {Object} ball - Ball condition
+ * @returns {number} Reverse swing (0-1)
+ */
+export function getReverseSwing(ball) {
+  return (Math.max(0, ball.roughness - 40) / 60) * (1 - ball.shine / 100)
+}
+
+/**
+ * Get how well a bowler can use a reversing ball
+ */
+function getReverseSwingSkill(bowler) {
+  if (!REVERSE_SWING_STYLES.includes(bowler.bowling.style)) return 0
+  return Math.min(1, Math.max(0, (bowler.bowling.variation - 50) / 50))
+}
+
+/**
+ * Get the ball outcome modifiers for the state of the ball
+ * @param {Object} ball - Ball condition
+ * @param {Player} bowler - Bowler
+ * @param {Object} weather - MatchConditions.getWeatherModifiers(ball), or null to use the ball alone
+ * @returns {Object} Ball outcome modifiers
+ */
+export function getBallModifiers(ball, bowler, weather = null) {
+  const style = bowler.bowling.style || ''
+
+  if (style.includes('spin')) {
+    const grip = ball.roughness / 100
+    return { wicket: 1 + 0.1 * grip, dot: 1 + 0.05 * grip }
+  }
+
+  const swing = weather ? weather.swing : getConventionalSwing(ball)
+  const reverse = (weather ? weather.reverse_swing : getReverseSwing(ball)) * getReverseSwingSkill(bowler)
+  const dead = Math.max(0, DEAD_BALL_MOVEMENT - swing - reverse) / DEAD_BALL_MOVEMENT
+
+  // A ball with about half its shine left is neutral
+  return {
+    wicket: (1 + 0.2 * (swing - 0.3) + 0.3 * reverse) * (1 - 0.1 * dead),
+    dot: 1 + 0.1 * swing + 0.1 * reverse,
+    four: (1 - 0.05 * swing) * (1 + 0.05 * dead)
+  }
+}
+
+/**
+ * Describe what the ball is doing, for the scoreboard
+ * @param {Object} ball - Ball condition
+ * @returns {string} Short description
+ */
+export function describeBall(ball) {
+  if (getConventionalSwing(ball) >= 0.5) return 'SWINGING'
+  if (getReverseSwing(ball) >= 0.3) return 'REVERSING'
+  if (ball.roughness >= 50) return 'SCUFFED'
+  return ball.shine >= 40 ? 'LOSING ITS SHINE' : 'SOFT'
+}
+
+export default {
+  BALL_WEAR_PER_DELIVERY,
+  createBall,
+  wearBall,
+  getConventionalSwing,
+  getReverseSwing,
+  getBallModifiers,
+  describeBall
+}
@@ -0,0 +1,280 @@
+/**
+ * Batch Simulator - Monte Carlo runs of many matches between two teams
+ *
+ * Used to check engine balance at volume: how often each side wins, what a
+ * typical innings total looks like, and who scores the runs and takes the
+ * wickets over hundreds of matches.
+ *
+ * Approach:
+ * - Each match gets its own seed derived from the batch seed, so any single
+ *   match in a batch can be replayed on its own
+ * - Fresh teams are created for every match (players carry form, fitness
+ *   and confidence between balls, which must not leak between matches)
+ * - The sides take turns to bat first so neither gets a systematic advantage
+ * - Player aggregates are built from the structured delivery log
+ */
+
+import { simulateMatch } from './matchSimulator.js'
+import { simulateTestMatch } from './testMatchSimulator.js'
+import { calculateBattingAverage, calculateBowlingAverage, calculateEconomy, getRunsConceded } from './matchUtils.js'
+import { WICKET_TYPES, BALL_OUTCOMES } from './matchConstants.js'
+import { generateSeed } from './random.js'
+
+export const BATCH_FORMATS = {
+  T20: 'T20',
+  ODI: 'ODI',
+  HUNDRED: 'HUNDRED',
+  TEST: 'Test'
+}
+
+const INNINGS_KEYS = ['first', 'second', 'third', 'fourth']
+
+// Dismissals not credited to the bowler
+const NON_BOWLER_WICKETS = [WICKET_TYPES.RUN_OUT]
+
+/**
+ * Get the seed for one match in a batch
+ * @param {number|string} batchSeed - Seed for the whole batch
+ * @param {number} index - Match number (0-based)
+ * @returns {string} Match seed
+ */
+export function getBatchMatchSeed(batchSeed, index) {
+  return `${batchSeed}-${index}`
+}
+
+/**
+ * Work out which team batted in each innings of a match
+ * @param {string} format - BATCH_FORMATS value
+ * @param {Object} battingFirst - Team that batted first
+ * @param {Object} bowlingFirst - Team that bowled first
+ * @param {Object} matchState - Final match state
+ * @returns {Array} Teams in innings order
+ */
+function getInningsBattingOrder(format, battingFirst, bowlingFirst, matchState) {
+  if (format === BATCH_FORMATS.TEST && matchState.followOnEnforced) {
+    return [battingFirst, bowlingFirst, bowlingFirst, battingFirst]
+  }
+  return [battingFirst, bowlingFirst, battingFirst, bowlingFirst]
+}
+
+/**
+ * Get the winning team id from a match result, or null for a draw or tie
+ */
+function getWinnerId(format, result) {
+  if (format === BATCH_FORMATS.TEST) {
+    return result.winner ? result.winner.id : null
+  }
+  return result.team ? result.team.id : null
+}
+
+/**
+ * Simulate one match of the batch
+ * @param {string} format - BATCH_FORMATS value
+ * @param {Object} battingFirst - Team batting first
+ * @param {Object} bowlingFirst - Team bowling first
+ * @param {Object} options - { seed, overs }
+ * @returns {Object} simulateMatch or simulateTestMatch result
+ */
+function simulateBatchMatch(format, battingFirst, bowlingFirst, options) {
+  if (format === BATCH_FORMATS.TEST) {
+    return simulateTestMatch(battingFirst, bowlingFirst, { seed: options.seed })
+  }
+  return simulateMatch(battingFirst, bowlingFirst, { seed: options.seed, format, overs: options.overs })
+}
+
+/**
+ * Get (or create) the running totals for a player
+ */
+function getPlayerTotals(players, player, team) {
+  if (!players.has(player.id)) {
+    players.set(player.id, {
+      id: player.id,
+      name: player.name,
+      team: team.shortName || team.name,
+      innings: 0,
+      runs: 0,
+      ballsFaced: 0,
+      dismissals: 0,
+      highScore: 0,
+      wickets: 0,
+      runsConceded: 0,
+      ballsBowled: 0
+    })
+  }
+  return players.get(player.id)
+}
+
+/**
+ * Add one match's deliveries to the player totals
+ * @param {Map} players - Running totals by player id
+ * @param {Array} deliveries - Delivery log for the match
+ * @param {Array} inningsTeams - Batting team for each innings
+ */
+function addPlayerStats(players, deliveries, inningsTeams) {
+  // Runs per batter in each innings, to count innings played and high scores
+  const inningsScores = new Map()
+
+  for (const delivery of deliveries) {
+    const battingTeam = inningsTeams[delivery.innings - 1]
+    const bowlingTeam = inningsTeams.find(team => team !== battingTeam)
+    const findPlayer = (team, id) => team.players.find(p => p.id === id)
+
+    for (const id of [delivery.strikerId, delivery.nonStrikerId]) {
+      const key = `${delivery.innings}:${id}`
+      if (id && !inningsScores.has(key)) {
+        inningsScores.set(key, { totals: getPlayerTotals(players, findPlayer(battingTeam, id), battingTeam), runs: 0 })
+      }
+    }
+
+    const batter = inningsScores.get(`${delivery.innings}:${delivery.strikerId}`)
+    batter.runs += delivery.runsOffBat
+    batter.totals.runs += delivery.runsOffBat
+    if (delivery.isLegal || delivery.extras.type === BALL_OUTCOMES.NO_BALL) batter.totals.ballsFaced++
+
+    if (delivery.playerOutId) {
+      inningsScores.get(`${delivery.innings}:${delivery.playerOutId}`).totals.dismissals++
+    }
+
+    const bowler = getPlayerTotals(players, findPlayer(bowlingTeam, delivery.bowlerId), bowlingTeam)
+    bowler.runsConceded += getRunsConceded(delivery.runsOffBat + delivery.extras.runs, delivery.extras.type)
+    if (delivery.isLegal) bowler.ballsBowled++
+    if (delivery.wicketType && !NON_BOWLER_WICKETS.includes(delivery.wicketType)) {
+      bowler.wickets++
+    }
+  }
+
+  for (const { totals, runs } of inningsScores.values()) {
+    totals.innings++
+    totals.highScore = Math.max(totals.highScore, runs)
+  }
+}
+
+/**
+ * Summarize a list of numbers
+ * @param {Array<number>} values - Values
+ * @returns {Object} { count, average, min, median, max }
+ */
+export function summarizeDistribution(values) {
+  if (values.length === 0) {
+    return { count: 0, average: 0, min: 0, median: 0, max: 0 }
+  }
+
+  const sorted = [...values].sort((a, b) => a - b)
+  const total = sorted.reduce((sum, value) => sum + value, 0)
+
+  return {
+    count: sorted.length,
+    average: parseFloat((total / sorted.length).toFixed(1)),
+    min: sorted[0],
+    median: sorted[Math.floor(sorted.length / 2)],
+    max: sorted[sorted.length - 1]
+  }
+}
+
+/**
+ * Simulate many matches between two teams and aggregate the results
+ * @param {Function} createTeams - Returns fresh { team1, team2 } for each match
+ * @param {Object} options - { format, matches, seed, overs, top, onProgress }
+ * @returns {Object} Aggregated results
+ */
+export function runBatchSimulation(createTeams, options = {}) {
+  const format = options.format || BATCH_FORMATS.T20
+  const matches = options.matches || 100
+  const seed = options.seed !== undefined && options.seed !== null ? options.seed : generateSeed()
+  const overs = options.overs // Limited-overs formats default to their standard length
+  const top = options.top || 5
+
+  const sample = createTeams()
+  const teams = [sample.team1, sample.team2].map(team => ({ id: team.id, name: team.name, wins: 0, winsBattingFirst: 0 }))
+  const inningsRuns = INNINGS_KEYS.map(() => [])
+  const inningsWickets = INNINGS_KEYS.map(() => [])
+  const players = new Map()
+  let draws = 0
+  let ties = 0
+
+  for (let i = 0; i < matches; i++) {
+    const { team1, team2 } = createTeams()
+
+    // Alternate which side bats first
+    const [battingFirst, bowlingFirst] = i % 2 === 0 ? [team1, team2] : [team2, team1]
+    const matchResult = simulateBatchMatch(format, battingFirst, bowlingFirst, {
+      seed: getBatchMatchSeed(seed, i),
+      overs
+    })
+
+    const winnerId = getWinnerId(format, matchResult.result)
+    if (winnerId) {
+      const winner = teams.find(team => team.id === winnerId)
+      winner.wins++
+      if (winnerId === battingFirst.id) winner.winsBattingFirst++
+    } else if (matchResult.result.result === 'draw') {
+      draws++
+    } else {
+      ties++
+    }
+
+    INNINGS_KEYS.forEach((key, index) => {
+      const innings = matchResult.innings[key]
+      if (innings) {
+        inningsRuns[index].push(innings.runs)
+        inningsWickets[index].push(innings.wickets)
+      }
+    })
+
+    const inningsTeams = getInningsBattingOrder(format, battingFirst, bowlingFirst, matchResult.matchState)
+    addPlayerStats(players, matchResult.matchState.getDeliveries(), inningsTeams)
+
+    if (options.onProgress) options.onProgress(i + 1, matches)
+  }
+
+  const rate = count => parseFloat(((count / matches) * 100).toFixed(1))
+  const allPlayers = Array.from(players.values())
+
+  return {
+    format,
+    matches,
+    seed,
+    teams: teams.map(team => ({ ...team, winRate: rate(team.wins) })),
+    draws,
+    drawRate: rate(draws),
+    ties,
+    tieRate: rate(ties),
+    innings: INNINGS_KEYS
+      .map((key, index) => ({
+        innings: index + 1,
+        runs: summarizeDistribution(inningsRuns[index]),
+        wickets: summarizeDistribution(inningsWickets[index])
+      }))
+      .filter(innings => innings.runs.count > 0),
+    topRunScorers: allPlayers
+      .filter(p => p.innings > 0)
+      .sort((a, b) => b.runs - a.runs)
+      .slice(0, top)
+      .map(p => ({
+        name: p.name,
+        team: p.team,
+        innings: p.innings,
+        runs: p.runs,
+        average: calculateBattingAverage(p.runs, p.dismissals),
+        highScore: p.highScore
+      })),
+    topWicketTakers: allPlayers
+      .filter(p => p.ballsBowled > 0)
+      .sort((a, b) => b.wickets - a.wickets || a.runsConceded - b.runsConceded)
+      .slice(0, top)
+      .map(p => ({
+        name: p.name,
+        team: p.team,
+        wickets: p.wickets,
+        average: calculateBowlingAverage(p.runsConceded, p.wickets),
+        economy: calculateEconomy(p.runsConceded, p.ballsBowled)
+      }))
+  }
+}
+
+export default {
+  BATCH_FORMATS,
+  getBatchMatchSeed,
+  summarizeDistribution,
+  runBatchSimulation
+}
@@ -0,0 +1,154 @@
+/**
+ * Batting Intents - How each batter sets out to play: block, rotate, normal, attack or slog
+ *
+ * Implements:
+ * - Each intent shifts the ball outcome probabilities on top of the batter's style:
+ *   blocking saves wickets and costs runs, slogging brings sixes and wickets
+ * - The batter's skill decides how good the trade is - a batter strong in the
+ *   attribute the intent leans on gets more of the reward and less of the risk
+ * - The user sets intents for their own batters; AI captains pick them from the
+ *   match situation: declaration pushes, last-day rearguards and run chases
+ */
+
+import { BATTING_STYLES } from './playerStats.js'
+
+// Outcomes that are bad for the batter - an intent that raises them is a risk
+const BATTER_RISKS = ['dot', 'wicket']
+
+/**
+ * Intents
+ * tests: batting attribute the intent relies on, outcomes: ball outcome modifiers
+ */
+export const BATTING_INTENTS = {
+  block: {
+    id: 'block',
+    name: 'BLOCK',
+    tests: 'technique',
+    outcomes: { dot: 1.5, single: 0.7, two: 0.7, three: 0.7, four: 0.45, six: 0.25, wicket: 0.65 }
+  },
+  rotate: {
+    id: 'rotate',
+    name: 'ROTATE',
+    tests: 'timing',
+    outcomes: { dot: 0.75, single: 1.45, two: 1.2, three: 1.1, four: 0.75, six: 0.6, wicket: 0.9 }
+  },
+  normal: {
+    id: 'normal',
+    name: 'NORMAL',
+    tests: 'timing',
+    outcomes: {}
+  },
+  attack: {
+    id: 'attack',
+    name: 'ATTACK',
+    tests: 'timing',
+    outcomes: { dot: 0.8, single: 0.95, four: 1.35, six: 1.6, wicket: 1.5 }
+  },
+  slog: {
+    id: 'slog',
+    name: 'SLOG',
+    tests: 'power',
+    outcomes: { dot: 0.7, single: 0.75, two: 0.9, four: 1.5, six: 2.5, wicket: 2.4 }
+  }
+}
+
+/**
+ * Get an intent by id
+ * @param {string} id - BATTING_INTENTS key
+ * @returns {Object} Intent (normal if unknown)
+ */
+export function getBattingIntent(id) {
+  return BATTING_INTENTS[id] || BATTING_INTENTS.normal
+}
+
+/**
+ * Get the ball outcome modifiers for a batter playing with an intent
+ * The rewards grow and the risks shrink with the attribute the intent relies on
+ * @param {string} id - BATTING_INTENTS key
+ * @param {Player} batsman - Batter on strike
+ * @returns {Object} Ball outcome modifiers
+ */
+export function getIntentModifiers(id, batsman) {
+  const intent = getBattingIntent(id)
+  const skill = batsman.batting[intent.tests] / 100
+  const modifiers = {}
+
+  for (const [outcome, modifier] of Object.entries(intent.outcomes)) {
+    const isRisk = BATTER_RISKS.includes(outcome) ? modifier > 1 : modifier < 1
+    const scale = isRisk ? 1.25 - skill / 2 : 0.75 + skill / 2
+    modifiers[outcome] = Math.max(0.1, 1 + (modifier - 1) * scale)
+  }
+  return modifiers
+}
+
+/**
+ * Choose a Test match intent
+ */
+function chooseTestIntent(matchState) {
+  const oversLeft = matchState.getOversRemainingInMatch()
+
+  // 4th innings: chase it down, or bat out the last day
+  if (matchState.inningsNumber === 4) {
+    const needed = matchState.getFourthInningsTarget() - matchState.score
+    if (needed <= 20) return 'attack'
+    if (oversLeft > 120) return 'normal'
+
+    const requiredRate = needed / Math.max(1, oversLeft)
+    if (requiredRate > 5 || matchState.wickets >= 6) return 'block'
+    return requiredRate > 3.5 ? 'attack' : 'rotate'
+  }
+
+  // 3rd innings: push on for a declaration once the lead is safe
+  if (matchState.inningsNumber === 3) {
+    const lead = matchState.getLead()
+    if (lead >= 250 && oversLeft <= 150) return lead >= 350 ? 'slog' : 'attack'
+    // Far behind with little time left - save the match
+    if (lead < 0 && oversLeft <= 90) return 'block'
+  }
+
+  return 'normal'
+}
+
+/**
+ * Choose a limited-overs intent
+ */
+function chooseLimitedOversIntent(matchState) {
+  if (matchState.isSuperOver) return 'slog'
+
+  // The batting phase modifiers already cover the death overs; intent follows the chase
+  if (matchState.currentInning === 2) {
+    const ballsLeft = matchState.getTotalBalls() - matchState.balls
+    const needed = matchState.getTarget() - matchState.score
+    const requiredRate = ballsLeft > 0 ? (needed / ballsLeft) * 6 : 0
+
+    if (requiredRate > 12) return 'slog'
+    if (requiredRate > 9) return 'attack'
+    // Knock off an easy chase in singles
+    if (requiredRate < 5 && ballsLeft > 30) return 'rotate'
+  }
+
+  return 'normal'
+}
+
+/**
+ * Choose how a batter should play in the current match situation
+ * @param {MatchState} matchState - Match state
+ * @param {Player} batsman - Batter
+ * @returns {string} BATTING_INTENTS key
+ */
+export function chooseBattingIntent(matchState, batsman) {
+  const intent = matchState.format === 'Test' ? chooseTestIntent(matchState) : chooseLimitedOversIntent(matchState)
+
+  // Anchors and defensive batters push the score along without slogging
+  const style = batsman ? batsman.batting.style : null
+  if (intent === 'slog' && (style === BATTING_STYLES.ANCHOR || style === BATTING_STYLES.DEFENSIVE)) return 'attack'
+
+  return intent
+}
+
+export default {
+  BATTING_INTENTS,
+  getBattingIntent,
+  getIntentModifiers,
+  chooseBattingIntent
+}
@@ -7,14 +7,35 @@
  * - Spinners introduced after 20+ overs
  * - Spell management with rest periods
  * - Bowler fitness and fatigue tracking
+ * - Changes that suit the batters at the crease (left-arm angle, spin turning away)
  */
 
+import { getMatchupScore } from './handedness.js'
+
 // Spell length limits
 const MAX_PACE_SPELL = 10      // ABSOLUTE maximum for pace bowlers (even if bowling well)
 const MAX_SPIN_SPELL = 20      // Spinners can bowl longer
 const STANDARD_PACE_SPELL = 8  // Normal rotation for pace bowlers
 const STANDARD_SPIN_SPELL = 15 // Normal rotation for spinners
 
+/**
+ * Get the players a captain can bowl, best first
+ * @param {Array} players - Playing XI
+ * @returns {Array} Bowlers and all-rounders sorted by bowling rating
+ */
+export function getAvailableBowlers(players) {
+  return players.filter(p =>
+    p.role === 'bowler' || p.role === 'all_rounder'
+  ).sort((a, b) => b.getBowlingRating() - a.getBowlingRating())
+}
+
+/**
+ * Get how well a bowler matches up against the two batters at the crease
+ */
+function getCreaseMatchup(bowler, matchState) {
+  return getMatchupScore(bowler, [matchState.striker, matchState.nonStriker])
+}
+
 /**
  * BowlingManager class - manages bowling rotation and spells
  */
@@ -136,8 +157,9 @@ export class BowlingManager {
    * Select a replacement bowler (when changing bowler at one end)
    */
   selectReplacementBowler(currentOver, matchState, excludeBowler) {
-    // Opening spell (overs 1-10): Use opening bowlers
-    if (currentOver < 10) {
+    // Opening spell (first 10 overs with a new ball): Use opening bowlers
+    const ballAge = matchState.getBallAge?.() ?? currentOver
+    if (ballAge < 10) {
       const available = this.openingBowlers.filter(b => b.id !== excludeBowler.id && this.canBowlAgain(b, currentOver))
       if (available.length > 0) return available[0]
     }
@@ -146,8 +168,11 @@ export class BowlingManager {
     if (currentOver < 25) {
       const available = this.firstChange.filter(b => b.id !== excludeBowler.id && this.canBowlAgain(b, currentOver))
       if (available.length > 0) {
-        // Select bowler who has bowled least
-        available.sort((a, b) => this.currentSpells.get(a.id) - this.currentSpells.get(b.id))
+        // Select bowler who has bowled least, then the one who suits the batters
+        available.sort((a, b) =>
+          this.currentSpells.get(a.id) - this.currentSpells.get(b.id) ||
+          getCreaseMatchup(b, matchState) - getCreaseMatchup(a, matchState)
+        )
         return available[0]
       }
       
@@ -159,7 +184,12 @@ export class BowlingManager {
     // Middle overs (25+): Consider spinners
     if (currentOver >= 20 && this.spinners.length > 0) {
       const available = this.spinners.filter(b => b.id !== excludeBowler.id && this.canBowlAgain(b, currentOver))
-      if (available.length > 0) return available[0]
+      if (available.length > 0) {
+        // The spinner who turns it away from the batters, unless they are much the weaker bowler
+        const suitability = b => b.getBowlingRating() * getCreaseMatchup(b, matchState)
+        available.sort((a, b) => suitability(b) - suitability(a))
+        return available[0]
+      }
     }
     
     // Fall back to any available bowler
@@ -253,12 +283,13 @@ export class BowlingManager {
       return this.findAnyAvailableBowler(currentOver, previousBowler)
     }
     
-    // Sort by priority (highest first), then by overs bowled (least first)
+    // Sort by priority (highest first), then by overs bowled (least first), then by matchup
     availableBowlers.sort((a, b) => {
       if (b.priority !== a.priority) {
         return b.priority - a.priority
       }
-      return this.totalOversBowled.get(a.bowler.id) - this.totalOversBowled.get(b.bowler.id)
+      return this.totalOversBowled.get(a.bowler.id) - this.totalOversBowled.get(b.bowler.id) ||
+        getCreaseMatchup(b.bowler, matchState) - getCreaseMatchup(a.bowler, matchState)
     })
     
     return availableBowlers[0].bowler
@@ -313,6 +344,11 @@ export class BowlingManager {
       return true // MUST rest - absolute maximum reached
     }
     
+    // The seamers take the new ball at both ends
+    if (isSpin && matchState.getBallAge?.() < 2) {
+      return true
+    }
+    
     // Keep successful bowlers on (but only up to max spell length checked above)
     if (bowlerStats && bowlerStats.balls >= 36) { // At least 6 overs
       // Check if bowler is taking wickets (2+ wickets)
@@ -332,6 +368,12 @@ export class BowlingManager {
       }
     }
     
+    // A spinner turning it into both batters makes way for one who turns it away
+    if (isSpin && currentSpell >= 6 && getCreaseMatchup(bowler, matchState) < 1 &&
+      this.spinners.some(s => s.id !== bowlerId && getCreaseMatchup(s, matchState) > 1)) {
+      return true
+    }
+
     // Standard rotation (normal spell lengths for fast bowlers)
     if (isPace && currentSpell >= STANDARD_PACE_SPELL) {
       return true // Rest after 8 overs if not bowling exceptionally
@@ -0,0 +1,354 @@
+/**
+ * Bowling Plans - The line, length and variation a captain sets for each over
+ *
+ * Implements:
+ * - A plan is a line (off stump, wide of off, at the body), a length (full, good,
+ *   short) and an optional variation (yorker, slower ball, googly) mixed in
+ * - Each part of a delivery tests one of the batter's attributes against the
+ *   bowler's accuracy (or variation, for a variation ball), so the same plan
+ *   troubles one batter and gets punished by another
+ * - Short balls from pace bowlers are bouncers, limited per over; once the limit
+ *   is reached the bowler goes back to a good length
+ * - AI captains pick a plan at the start of every over from the bowler, the batter
+ *   on strike and the match situation; the user can set their own
+ */
+
+import { getInningsPhase } from './matchUtils.js'
+import { BOWLING_STYLES } from './playerStats.js'
+
+// Bouncers allowed per over in Tests (limited-overs formats set their own)
+export const TEST_BOUNCERS_PER_OVER = 2
+
+// How much the batter's edge over the bowler shifts each outcome, per part of the delivery
+const MATCHUP_EFFECTS = { dot: -0.1, four: 0.15, six: 0.15, wicket: -0.2 }
+
+// A spinner dropping short serves up a long hop
+const LONG_HOP_MODIFIERS = { dot: 0.85, four: 1.4, wicket: 0.8 }
+
+const PACE_STYLES = [BOWLING_STYLES.FAST, BOWLING_STYLES.FAST_MEDIUM, BOWLING_STYLES.MEDIUM]
+
+/**
+ * Lines
+ * tests: batting attribute the line examines, outcomes: ball outcome modifiers,
+ * wicketTypes: dismissal type modifiers
+ */
+export const BOWLING_LINES = {
+  offStump: {
+    id: 'offStump',
+    name: 'OFF STUMP',
+    commentary: 'on off stump',
+    tests: 'technique',
+    outcomes: { dot: 1.05, four: 0.95 },
+    wicketTypes: { caught: 1.15, bowled: 1.1 }
+  },
+  wide: {
+    id: 'wide',
+    name: 'WIDE OF OFF',
+    commentary: 'wide of off stump',
+    tests: 'temperament',
+    outcomes: { dot: 1.1, single: 0.95, four: 1.05, six: 0.9, wicket: 0.85, wide: 1.8 },
+    wicketTypes: { caught: 1.4, bowled: 0.4, lbw: 0.2 }
+  },
+  body: {
+    id: 'body',
+    name: 'AT THE BODY',
+    commentary: 'at the body',
+    tests: 'timing',
+    outcomes: { single: 1.1, four: 0.9, six: 0.9, wicket: 0.95, leg_bye: 1.8 },
+    wicketTypes: { lbw: 1.4, bowled: 1.1, caught: 0.9 }
+  }
+}
+
+/**
+ * Lengths (a pace bowler's short ball is a bouncer)
+ */
+export const BOWLING_LENGTHS = {
+  full: {
+    id: 'full',
+    name: 'FULL',
+    commentary: 'Full',
+    tests: 'timing',
+    outcomes: { dot: 0.9, four: 1.2, wicket: 1.05 },
+    wicketTypes: { bowled: 1.3, lbw: 1.3, caught: 0.85 }
+  },
+  good: {
+    id: 'good',
+    name: 'GOOD LENGTH',
+    commentary: 'Good length',
+    tests: 'technique',
+    outcomes: { dot: 1.05, four: 0.95 },
+    wicketTypes: {}
+  },
+  short: {
+    id: 'short',
+    name: 'SHORT',
+    commentary: 'Bouncer',
+    spinCommentary: 'Dropped short',
+    tests: 'power',
+    outcomes: { dot: 1.1, single: 0.85, four: 1.1, six: 1.4, wicket: 1.05 },
+    wicketTypes: { caught: 1.5, bowled: 0.4, lbw: 0.2, hit_wicket: 1.5 }
+  }
+}
+
+/**
+ * Variations, mixed in with the stock ball
+ * styles: bowling styles that can bowl it
+ */
+export const BOWLING_VARIATIONS = {
+  yorker: {
+    id: 'yorker',
+    name: 'YORKER',
+    commentary: 'Yorker',
+    tests: 'timing',
+    styles: PACE_STYLES,
+    outcomes: { dot: 1.2, single: 0.95, four: 0.75, six: 0.6, wicket: 1.2, no_ball: 1.5 },
+    wicketTypes: { bowled: 1.8, lbw: 1.5, caught: 0.5 }
+  },
+  slowerBall: {
+    id: 'slowerBall',
+    name: 'SLOWER BALL',
+    commentary: 'Slower ball',
+    tests: 'temperament',
+    styles: PACE_STYLES,
+    outcomes: { dot: 1.05, four: 0.95, wicket: 1.15 },
+    wicketTypes: { caught: 1.4, bowled: 1.2, lbw: 0.8 }
+  },
+  googly: {
+    id: 'googly',
+    name: 'GOOGLY',
+    commentary: 'Googly',
+    tests: 'technique',
+    styles: [BOWLING_STYLES.SPIN_LEG],
+    outcomes: { dot: 1.1, four: 0.95, wicket: 1.2, bye: 1.5 },
+    wicketTypes: { bowled: 1.4, lbw: 1.3, stumped: 1.5, caught: 0.8 }
+  }
+}
+
+/**
+ * Check if a bowler is a spinner
+ */
+function isSpinner(bowler) {
+  return Boolean(bowler && bowler.bowling.style && bowler.bowling.style.includes('spin'))
+}
+
+/**
+ * Check if a bowler can bowl a variation
+ * @param {string} variation - BOWLING_VARIATIONS key
+ * @param {Player} bowler - Bowler
+ * @returns {boolean} True if the bowler's style allows it
+ */
+export function canBowlVariation(variation, bowler) {
+  const option = BOWLING_VARIATIONS[variation]
+  return Boolean(option && bowler && option.styles.includes(bowler.bowling.style))
+}
+
+/**
+ * Get the variations a bowler can bowl
+ * @param {Player} bowler - Bowler
+ * @returns {Array} BOWLING_VARIATIONS keys
+ */
+export function getAvailableVariations(bowler) {
+  return Object.keys(BOWLING_VARIATIONS).filter(variation => canBowlVariation(variation, bowler))
+}
+
+/**
+ * Get how many bouncers a bowler may bowl in an over
+ * @param {MatchState} matchState - Match state
+ * @returns {number} Bouncers per over
+ */
+export function getBouncerLimit(matchState) {
+  const rules = matchState.getFormatRules()
+  return rules ? rules.bouncersPerOver : TEST_BOUNCERS_PER_OVER
+}
+
+/**
+ * Choose a Test match plan
+ */
+function chooseTestPlan(matchState, bowler, batsman) {
+  const ballAge = matchState.getBallAge()
+
+  if (isSpinner(bowler)) {
+    return { line: 'offStump', length: 'good', variation: matchState.day >= 3 && canBowlVariation('googly', bowler) ? 'googly' : null }
+  }
+
+  // Pitch the new ball up to find the edge
+  if (ballAge < 10) return { line: 'offStump', length: 'full', variation: null }
+
+  // Bounce out the tail, and batters who can't pull or hook
+  if (batsman.batting.technique < 50 || batsman.batting.power < 60) {
+    return { line: 'body', length: 'short', variation: null }
+  }
+
+  // Starve a set pair outside off stump
+  if (matchState.currentPartnership.runs >= 100) return { line: 'wide', length: 'good', variation: null }
+
+  return { line: 'offStump', length: 'good', variation: null }
+}
+
+/**
+ * Choose a limited-overs plan
+ */
+function chooseLimitedOversPlan(matchState, bowler, batsman, over) {
+  const phase = matchState.isSuperOver ? 'death_overs' : getInningsPhase(over, matchState.totalOvers, matchState.getFormatRules())
+
+  if (isSpinner(bowler)) {
+    if (phase === 'death_overs') return { line: 'body', length: 'full', variation: null }
+    return { line: 'offStump', length: 'good', variation: canBowlVariation('googly', bowler) ? 'googly' : null }
+  }
+
+  // Yorkers at the death, wide of the big hitters' reach
+  if (phase === 'death_overs') {
+    return { line: batsman.batting.power >= 75 ? 'wide' : 'offStump', length: 'full', variation: 'yorker' }
+  }
+
+  if (phase === 'powerplay' && over < 2) return { line: 'offStump', length: 'full', variation: null }
+  if (batsman.batting.power < 60) return { line: 'body', length: 'short', variation: null }
+
+  return { line: 'offStump', length: 'good', variation: 'slowerBall' }
+}
+
+/**
+ * Choose the bowling plan for an over
+ * @param {MatchState} matchState - Match state at the start of the over
+ * @param {Player} bowler - Bowler for the over
+ * @param {Player} batsman - Batter on strike
+ * @returns {Object} Plan { line, length, variation }
+ */
+export function chooseBowlingPlan(matchState, bowler, batsman) {
+  if (!bowler || !batsman) return { line: 'offStump', length: 'good', variation: null }
+
+  const over = Math.floor(matchState.balls / matchState.ballsPerOver)
+
+  if (matchState.format === 'Test') return chooseTestPlan(matchState, bowler, batsman)
+  return chooseLimitedOversPlan(matchState, bowler, batsman, over)
+}
+
+/**
+ * Pick the next delivery from a plan
+ * The variation is mixed in now and then - more often by bowlers with plenty of it
+ * @param {Object} plan - Plan { line, length, variation }
+ * @param {Player} bowler - Bowler
+ * @param {number} bouncersBowled - Bouncers already bowled in the over
+ * @param {number} bouncerLimit - Bouncers allowed in the over
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {Object} Delivery { line, length, variation, bouncer }
+ */
+export function chooseDelivery(plan, bowler, bouncersBowled, bouncerLimit, rng) {
+  let length = plan.length
+  let variation = null
+
+  if (plan.variation && canBowlVariation(plan.variation, bowler) && rng.chance(0.15 + bowler.bowling.variation / 500)) {
+    variation = plan.variation
+  }
+
+  const bouncer = !variation && length === 'short' && !isSpinner(bowler)
+  if (bouncer && bouncersBowled >= bouncerLimit) length = 'good'
+
+  return { line: plan.line, length, variation, bouncer: bouncer && length === 'short' }
+}
+
+/**
+ * Get the parts of a delivery that shape the outcome: its line, and its length or variation
+ */
+function getDeliveryParts(delivery) {
+  return [
+    BOWLING_LINES[delivery.line],
+    delivery.variation ? BOWLING_VARIATIONS[delivery.variation] : BOWLING_LENGTHS[delivery.length]
+  ].filter(Boolean)
+}
+
+/**
+ * Get the ball outcome modifiers for a delivery against a batter
+ * A batter strong in the attribute a part of the delivery tests scores more and
+ * gets out less; a bowler's accuracy (or variation) pushes the other way
+ * @param {Object} delivery - chooseDelivery() result
+ * @param {Player} batsman - Batter on strike
+ * @param {Player} bowler - Bowler
+ * @returns {Object} Ball outcome modifiers
+ */
+export function getDeliveryModifiers(delivery, batsman, bowler) {
+  const modifiers = {}
+  if (!delivery) return modifiers
+
+  const multiply = (outcomes) => {
+    for (const [outcome, modifier] of Object.entries(outcomes)) {
+      modifiers[outcome] = (modifiers[outcome] || 1) * modifier
+    }
+  }
+
+  for (const part of getDeliveryParts(delivery)) {
+    multiply(part.outcomes)
+
+    const bowlerSkill = part === BOWLING_VARIATIONS[delivery.variation] ? bowler.bowling.variation : bowler.bowling.accuracy
+    const matchup = (batsman.batting[part.tests] - bowlerSkill) / 100
+    multiply(Object.fromEntries(Object.entries(MATCHUP_EFFECTS).map(([outcome, effect]) => [outcome, Math.max(0.5, 1 + matchup * effect)])))
+  }
+
+  if (delivery.length === 'short' && !delivery.variation && isSpinner(bowler)) multiply(LONG_HOP_MODIFIERS)
+
+  return modifiers
+}
+
+/**
+ * Get the dismissal type modifiers for a delivery
+ * @param {Object} delivery - chooseDelivery() result
+ * @returns {Object} Dismissal type modifiers
+ */
+export function getDeliveryWicketTypes(delivery) {
+  const modifiers = {}
+  if (!delivery) return modifiers
+
+  for (const part of getDeliveryParts(delivery)) {
+    for (const [wicketType, modifier] of Object.entries(part.wicketTypes)) {
+      modifiers[wicketType] = (modifiers[wicketType] || 1) * modifier
+    }
+  }
+  return modifiers
+}
+
+/**
+ * Describe a delivery for the commentary ("Bouncer, at the body.")
+ * @param {Object} delivery - chooseDelivery() result
+ * @param {Player} bowler - Bowler
+ * @returns {string} Description ('' without a delivery)
+ */
+export function describeDelivery(delivery, bowler) {
+  if (!delivery) return ''
+
+  let length
+  if (delivery.variation) {
+    length = BOWLING_VARIATIONS[delivery.variation].commentary
+  } else if (delivery.length === 'short' && isSpinner(bowler)) {
+    length = BOWLING_LENGTHS.short.spinCommentary
+  } else {
+    length = BOWLING_LENGTHS[delivery.length].commentary
+  }
+
+  return `${length}, ${BOWLING_LINES[delivery.line].commentary}.`
+}
+
+/**
+ * Describe a plan for display ("OFF STUMP, GOOD LENGTH + SLOWER BALL")
+ * @param {Object} plan - Plan { line, length, variation }
+ * @returns {string} Description
+ */
+export function describeBowlingPlan(plan) {
+  const description = `${BOWLING_LINES[plan.line].name}, ${BOWLING_LENGTHS[plan.length].name}`
+  return plan.variation ? `${description} + ${BOWLING_VARIATIONS[plan.variation].name}` : description
+}
+
+export default {
+  TEST_BOUNCERS_PER_OVER,
+  BOWLING_LINES,
+  BOWLING_LENGTHS,
+  BOWLING_VARIATIONS,
+  canBowlVariation,
+  getAvailableVariations,
+  getBouncerLimit,
+  chooseBowlingPlan,
+  chooseDelivery,
+  getDeliveryModifiers,
+  getDeliveryWicketTypes,
+  describeDelivery,
+  describeBowlingPlan
+}
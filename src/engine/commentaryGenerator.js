@@ -6,6 +6,8 @@
  * contextual information like player names, scores, and match situation.
  */
 
+import { createRandom } from './random.js';
+
 /**
  * Commentary templates for different outcomes
  */
@@ -14,7 +16,7 @@ const COMMENTARY_TEMPLATES = {
     '{batsman} defends solidly back to the bowler.',
     'Dot ball. Well bowled by {bowler}.',
     '{batsman} lets it go through to the keeper.',
-    'Good length delivery, {batsman} leaves it alone.',
+    'No shot offered, {batsman} leaves it alone.',
     '{batsman} blocks it defensively.',
     '{bowler} beats the bat! Close call.',
     'Defended watchfully by {batsman}.',
@@ -106,6 +108,47 @@ const COMMENTARY_TEMPLATES = {
     'NO BALL! {bowler} crosses the line.',
     'No ball called by the umpire, free hit next ball!'
   ],
+  bye: [
+    'Byes! It beats the bat and {keeper} can\'t gather it.',
+    'Past the keeper for byes.',
+    '{keeper} misses it completely, they run byes.',
+    'Through {keeper}\'s gloves! Byes taken.',
+    'Keeps low and beats {keeper}, byes.'
+  ],
+  legBye: [
+    'Off the pad, leg byes.',
+    'Hits {batsman} on the pad and they scamper through for leg byes.',
+    'Leg byes, flicked off the thigh pad.',
+    '{batsman} misses the flick, it deflects off the pad for leg byes.',
+    'Leg byes as it runs away off the pad.'
+  ],
+  dropped: [
+    'DROPPED! {fielder} puts it down, {batsman} survives!',
+    'Chance! {batsman} edges and {fielder} can\'t hold on!',
+    'Straight in and out! {fielder} drops {batsman}!',
+    'Up in the air... and {fielder} spills it! {bowler} can\'t believe it.',
+    'DROPPED! A regulation chance goes down, {batsman} gets a life.'
+  ],
+  notOut: {
+    lbw: [
+      'Big appeal for LBW against {batsman}... NOT OUT says the umpire.',
+      'Struck on the pad! {bowler} appeals, but the finger stays down.',
+      'Huge shout for LBW! Not out - the umpire thinks it was missing.',
+      '{bowler} is convinced, but {batsman} survives the LBW appeal.'
+    ],
+    caught: [
+      'Appeal for caught behind! {keeper} takes it, but it\'s NOT OUT.',
+      'Was there a nick? {bowler} thinks so, but the umpire says not out.',
+      'Loud appeal as {keeper} gathers... the umpire is unmoved.',
+      'Big shout for the edge from {batsman}, but not given.'
+    ]
+  },
+  missedStumping: [
+    'MISSED STUMPING! {batsman} was yards out but {fielder} fumbles it!',
+    '{batsman} is beaten by {bowler}, but {fielder} can\'t gather. Chance gone!',
+    'Out of the crease... {fielder} misses the stumping! {batsman} survives.',
+    'Should have been stumped! {fielder} lets {batsman} off.'
+  ],
   wicket: {
     bowled: [
       'BOWLED! {batsman} is cleaned up by {bowler}!',
@@ -186,30 +229,39 @@ const COMMENTARY_TEMPLATES = {
  * Generate commentary for a ball outcome
  * @param {string} outcome - Type of outcome (dot, single, four, six, wicket, etc.)
  * @param {Object} players - Object containing batsman, bowler, fielder names
- * @param {Object} matchContext - Current match context (score, overs, etc.)
+ * @param {Object} matchContext - Current match context (score, overs, delivery description, etc.)
  * @param {string} wicketType - Type of wicket if outcome is wicket
+ * @param {SeededRandom} rng - Random number source used to pick a template
  * @returns {string} Generated commentary
  */
-export function generateCommentary(outcome, players, matchContext = {}, wicketType = null) {
-  const { batsman = 'Batsman', bowler = 'Bowler', fielder = 'the fielder' } = players;
+export function generateCommentary(outcome, players, matchContext = {}, wicketType = null, rng = createRandom()) {
+  const { batsman = 'Batsman', bowler = 'Bowler', fielder = 'the fielder', keeper = 'the keeper' } = players;
   
   let templates;
   
-  // Handle wicket commentary specially
+  // Handle wicket and not-out commentary specially
   if (outcome === 'wicket' && wicketType) {
     templates = COMMENTARY_TEMPLATES.wicket[wicketType] || COMMENTARY_TEMPLATES.wicket.caught;
+  } else if (outcome === 'notOut' && wicketType) {
+    templates = COMMENTARY_TEMPLATES.notOut[wicketType] || COMMENTARY_TEMPLATES.notOut.lbw;
   } else {
     templates = COMMENTARY_TEMPLATES[outcome] || COMMENTARY_TEMPLATES.dot;
   }
   
   // Select random template
-  const template = templates[Math.floor(Math.random() * templates.length)];
+  const template = rng.pick(templates);
   
   // Replace placeholders
   let commentary = template
     .replace(/{batsman}/g, batsman)
     .replace(/{bowler}/g, bowler)
-    .replace(/{fielder}/g, fielder);
+    .replace(/{fielder}/g, fielder)
+    .replace(/{keeper}/g, keeper);
+  
+  // Lead with the delivery the batter faced
+  if (matchContext.delivery) {
+    commentary = `${matchContext.delivery} ${commentary}`;
+  }
   
   // Add ball number prefix if balls count is provided
   if (matchContext.balls !== undefined) {
@@ -227,28 +279,60 @@ export function generateCommentary(outcome, players, matchContext = {}, wicketTy
   return commentary;
 }
 
+/**
+ * Describe the runs from an extra, to follow the wide, no-ball, bye or leg-bye commentary
+ * @param {string} extraType - 'wide', 'no_ball', 'bye' or 'leg_bye'
+ * @param {number} runs - Wides, runs off the bat on a no-ball, or byes/leg byes
+ * @param {string} batsman - Striker's name
+ * @returns {string} Runs commentary ('' when there's nothing to add)
+ */
+export function generateExtraRuns(extraType, runs, batsman) {
+  if (extraType === 'wide') {
+    if (runs === 5) return 'It runs away to the boundary - FIVE WIDES!';
+    return runs > 1 ? `They run ${runs - 1} as well.` : '';
+  }
+  if (extraType === 'no_ball') {
+    if (runs === 6) return `${batsman} hits it for SIX as well!`;
+    if (runs === 4) return `${batsman} hits it for FOUR as well!`;
+    return runs > 0 ? `${batsman} takes ${runs} off it as well.` : '';
+  }
+  if (runs === 4) return 'Four of them - it reaches the boundary!';
+  return runs > 1 ? `${runs} taken.` : '';
+}
+
+/**
+ * Generate commentary for a batter who would have been out but for the free hit
+ * @param {string} batsman - Striker's name
+ * @param {string} wicketType - Dismissal that doesn't count, e.g. 'caught'
+ * @returns {string} Free hit commentary
+ */
+export function generateFreeHitSurvival(batsman, wicketType) {
+  return `FREE HIT! ${batsman} would have been out ${wicketType.replace('_', ' ')}, but survives.`;
+}
+
 /**
  * Generate over summary commentary
  * @param {Array} overResults - Array of ball results from the over
  * @param {Object} bowler - Bowler object
  * @param {number} overNumber - Over number
+ * @param {string} unit - 'over', or 'set' in The Hundred
  * @returns {string} Over summary
  */
-export function generateOverSummary(overResults, bowler, overNumber) {
+export function generateOverSummary(overResults, bowler, overNumber, unit = 'over') {
   const runs = overResults.reduce((sum, ball) => sum + (ball.runs || 0), 0);
   const wickets = overResults.filter(ball => ball.isWicket).length;
   const dots = overResults.filter(ball => ball.outcome === 'dot').length;
   
-  let summary = `End of over ${overNumber}: ${runs} run${runs !== 1 ? 's' : ''}`;
+  let summary = `End of ${unit} ${overNumber}: ${runs} run${runs !== 1 ? 's' : ''}`;
   
   if (wickets > 0) {
     summary += `, ${wickets} wicket${wickets !== 1 ? 's' : ''}`;
   }
   
   if (dots >= 4) {
-    summary += ` - Tight over from ${bowler.name}!`;
+    summary += ` - Tight ${unit} from ${bowler.name}!`;
   } else if (runs >= 15) {
-    summary += ` - Expensive over from ${bowler.name}!`;
+    summary += ` - Expensive ${unit} from ${bowler.name}!`;
   }
   
   return summary;
@@ -258,12 +342,13 @@ export function generateOverSummary(overResults, bowler, overNumber) {
  * Generate innings summary commentary
  * @param {Object} inningsData - Innings statistics
  * @param {string} teamName - Name of batting team
+ * @param {string} unit - What inningsData.overs counts ('overs' or 'balls')
  * @returns {string} Innings summary
  */
-export function generateInningsSummary(inningsData, teamName) {
+export function generateInningsSummary(inningsData, teamName, unit = 'overs') {
   const { runs, wickets, overs } = inningsData;
   
-  let summary = `${teamName} finished their innings at ${runs}/${wickets} in ${overs} overs.`;
+  let summary = `${teamName} finished their innings at ${runs}/${wickets} in ${overs} ${unit}.`;
   
   if (runs >= 200) {
     summary += ' A massive total!';
@@ -287,6 +372,115 @@ export function generateMatchResult(result) {
   return `${result.winner} wins ${result.margin}! Congratulations to the team!`;
 }
 
+/**
+ * Generate Super Over summary commentary
+ * @param {Object} superOver - Super Over { number, first, second, winner }
+ * @returns {string} Super Over summary
+ */
+export function generateSuperOverSummary(superOver) {
+  const { first, second, winner } = superOver;
+  const name = superOver.number === 1 ? 'SUPER OVER' : `SUPER OVER ${superOver.number}`;
+  
+  let summary = `${name}: ${first.team.name} ${first.runs}/${first.wickets}, ${second.team.name} ${second.runs}/${second.wickets}.`;
+  
+  if (winner) {
+    summary += ` ${winner.name} win the Super Over!`;
+  } else {
+    summary += ' Level again - another Super Over!';
+  }
+  
+  return summary;
+}
+
+/**
+ * Generate rain interruption commentary
+ * @param {string} lost - Length lost, e.g. "4 overs"
+ * @param {string} remaining - New innings length, e.g. "46 overs"
+ * @returns {string} Rain commentary
+ */
+export function generateRainInterruption(lost, remaining) {
+  return `RAIN STOPS PLAY! The covers come on. ${lost} lost - now ${remaining} a side.`;
+}
+
+/**
+ * Generate revised target commentary after rain (DLS)
+ * @param {string} teamName - Chasing side
+ * @param {number} target - Revised target
+ * @param {string} remaining - Innings length, e.g. "46 overs"
+ * @returns {string} Target commentary
+ */
+export function generateRevisedTarget(teamName, target, remaining) {
+  return `DLS: ${teamName} now need ${target} to win from ${remaining}.`;
+}
+
+/**
+ * Generate commentary for play lost in a Test match session
+ * @param {string} reason - 'rain' or 'bad_light'
+ * @param {number} overs - Overs lost
+ * @param {boolean} washout - True if the whole session was lost
+ * @returns {string} Stoppage commentary
+ */
+export function generateStoppage(reason, overs, washout = false) {
+  if (washout) {
+    return `NO PLAY POSSIBLE - the session is washed out. ${overs} overs lost.`;
+  }
+  if (reason === 'bad_light') {
+    return `BAD LIGHT! The umpires take the players off. ${overs} overs lost.`;
+  }
+  return `RAIN STOPS PLAY! The covers come on. ${overs} overs lost.`;
+}
+
+/**
+ * Generate commentary for overs added to make up lost time
+ * @param {string} type - 'early_start' or 'extra_time'
+ * @param {number} overs - Overs added to the session
+ * @returns {string} Make-up commentary
+ */
+export function generateMakeUpOvers(type, overs) {
+  if (type === 'early_start') {
+    return `Early start today to make up lost time - ${overs} extra overs this morning.`;
+  }
+  return `The extra half hour is taken - ${overs} more overs to make up lost time.`;
+}
+
+/**
+ * Generate commentary for the new ball in a Test match
+ * @param {string} teamName - Fielding side
+ * @param {string} decision - 'due', 'taken' or 'declined'
+ * @param {number} overs - Age of the old ball in overs
+ * @returns {string} New ball commentary
+ */
+export function generateNewBall(teamName, decision, overs) {
+  if (decision === 'due') {
+    return `${overs} overs up - the new ball is due.`;
+  }
+  if (decision === 'declined') {
+    return `${teamName} stay with the old ball for now.`;
+  }
+  return `NEW BALL! ${teamName} take the new ball after ${overs} overs.`;
+}
+
+/**
+ * Generate commentary for a DRS review
+ * @param {string} teamName - Side reviewing
+ * @param {string} batsman - Batter the decision was about
+ * @param {string} outcome - 'overturned', 'upheld' or 'umpires_call'
+ * @param {boolean} givenOut - Decision after the review
+ * @returns {string} Review commentary
+ */
+export function generateReview(teamName, batsman, outcome, givenOut) {
+  const review = `${teamName} REVIEW...`;
+  if (outcome === 'overturned') {
+    return givenOut
+      ? `${review} DECISION OVERTURNED! ${batsman} is OUT.`
+      : `${review} DECISION OVERTURNED! ${batsman} survives.`;
+  }
+  if (outcome === 'umpires_call') {
+    return `${review} UMPIRE'S CALL - ${givenOut ? 'out' : 'not out'} stands, review retained.`;
+  }
+  return `${review} ${givenOut ? 'OUT' : 'NOT OUT'}, the decision stands. Review lost.`;
+}
+
 /**
  * Generate milestone commentary (50, 100 runs, etc.)
  * @param {Object} player - Player who reached milestone
@@ -318,5 +512,13 @@ export default {
   generateOverSummary,
   generateInningsSummary,
   generateMatchResult,
+  generateSuperOverSummary,
+  generateRainInterruption,
+  generateRevisedTarget,
+  generateExtraRuns,
+  generateFreeHitSurvival,
+  generateStoppage,
+  generateMakeUpOvers,
+  generateReview,
   generateMilestone
 };
@@ -0,0 +1,105 @@
+/**
+ * DLS Calculator - Duckworth-Lewis-Stern style target revision
+ *
+ * When rain takes overs away from a limited-overs match, the side batting
+ * second can't simply chase the same total in fewer overs. Each side's
+ * batting "resources" are measured from the overs it has left and the
+ * wickets in hand, and the target is scaled by the ratio of the two.
+ *
+ * Approach:
+ * - Resources remaining follow the exponential model behind the published
+ *   Standard Edition table: 100% with 50 overs and no wickets lost,
+ *   56.6% with 20 overs, 32.1% with 10
+ * - Overs are measured in six-ball overs, so The Hundred's 100 balls count
+ *   as 16.7 overs of resources
+ * - If the chasing side has fewer resources the target is scaled down; if it
+ *   has more, the extra resources are worth G50 (an average 50-over total)
+ */
+
+/**
+ * Average first-innings score in a 50-over match, used when the chasing
+ * side has more resources than the side that set the target
+ */
+export const DLS_G50 = 245;
+
+// Resources remaining with 50 overs left, by wickets lost (0-9)
+const WICKET_RESOURCES = [100, 93.4, 85.1, 74.9, 62.7, 49.0, 34.9, 22.0, 11.9, 4.7];
+
+// How quickly resources run out as the overs go (fitted to the 50, 20 and 10 over rows)
+const OVERS_DECAY = 0.0272;
+
+/**
+ * Get the percentage of batting resources a side has left
+ * @param {number} oversRemaining - Six-ball overs left (may be fractional)
+ * @param {number} wicketsLost - Wickets already lost
+ * @returns {number} Resources remaining (0-100)
+ */
+export function getResourcesRemaining(oversRemaining, wicketsLost) {
+  if (oversRemaining <= 0 || wicketsLost >= 10) return 0;
+
+  const maxResources = WICKET_RESOURCES[wicketsLost];
+  const decay = OVERS_DECAY / (maxResources / 100);
+  const resources = maxResources * (1 - Math.exp(-decay * oversRemaining)) / (1 - Math.exp(-decay * 50));
+
+  return parseFloat(resources.toFixed(1));
+}
+
+/**
+ * Get the resources lost to an interruption
+ * @param {number} oversBefore - Overs remaining before the interruption
+ * @param {number} oversAfter - Overs remaining after the overs were cut
+ * @param {number} wicketsLost - Wickets down when play stopped
+ * @returns {number} Resources lost (percentage points)
+ */
+export function getResourcesLost(oversBefore, oversAfter, wicketsLost) {
+  return parseFloat((getResourcesRemaining(oversBefore, wicketsLost) - getResourcesRemaining(oversAfter, wicketsLost)).toFixed(1));
+}
+
+/**
+ * Get the score the chasing side needs to tie with the resources it has
+ * @param {number} firstInningsScore - Score of the side batting first
+ * @param {number} team1Resources - Resources available to the side batting first
+ * @param {number} team2Resources - Resources available to the chasing side
+ * @param {number} g50 - Average 50-over score (for chases with more resources)
+ * @returns {number} Unrounded tie score
+ */
+export function getTieScore(firstInningsScore, team1Resources, team2Resources, g50 = DLS_G50) {
+  if (team2Resources <= team1Resources) {
+    return firstInningsScore * (team2Resources / team1Resources);
+  }
+  return firstInningsScore + g50 * (team2Resources - team1Resources) / 100;
+}
+
+/**
+ * Calculate the revised target for the chasing side
+ * @param {number} firstInningsScore - Score of the side batting first
+ * @param {number} team1Resources - Resources available to the side batting first
+ * @param {number} team2Resources - Resources available to the chasing side
+ * @returns {number} Revised target (runs needed to win)
+ */
+export function calculateRevisedTarget(firstInningsScore, team1Resources, team2Resources) {
+  return Math.floor(getTieScore(firstInningsScore, team1Resources, team2Resources)) + 1;
+}
+
+/**
+ * Calculate the par score - what the chasing side needs now to be level on DLS
+ * @param {number} firstInningsScore - Score of the side batting first
+ * @param {number} team1Resources - Resources available to the side batting first
+ * @param {number} team2Resources - Resources available to the chasing side
+ * @param {number} resourcesRemaining - Chasing side's resources still to use
+ * @returns {number} Par score
+ */
+export function calculateParScore(firstInningsScore, team1Resources, team2Resources, resourcesRemaining) {
+  if (team2Resources <= 0) return 0;
+  const used = Math.max(0, team2Resources - resourcesRemaining);
+  return Math.floor(getTieScore(firstInningsScore, team1Resources, team2Resources) * used / team2Resources);
+}
+
+export default {
+  DLS_G50,
+  getResourcesRemaining,
+  getResourcesLost,
+  getTieScore,
+  calculateRevisedTarget,
+  calculateParScore
+};
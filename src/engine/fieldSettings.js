@@ -0,0 +1,159 @@
+/**
+ * Field Settings - Named fields the fielding captain sets for each over
+ *
+ * Implements:
+ * - Each setting shifts the ball outcome probabilities (boundaries, singles,
+ *   wickets), the mix of dismissal types and how many edges are held
+ * - The captain picks a field at the start of every over from the match
+ *   situation: new ball, spinners on a worn pitch, the tail, a big partnership,
+ *   powerplays, the death overs and the state of a chase
+ * - Left and right-handers: catchers for spin turning away from the bat and a
+ *   left-armer's angle across a right-hander; a left/right pair makes a ring
+ *   field hard to keep set
+ */
+
+import { getInningsPhase } from './matchUtils.js'
+import { isLeftArm, isLeftHanded, isLeftRightPair, turnsAwayFrom } from './handedness.js'
+
+/**
+ * Field settings
+ * outcomes: ball outcome modifiers, wicketTypes: dismissal type modifiers,
+ * catching: change to the chance a catch or stumping is held
+ */
+export const FIELD_SETTINGS = {
+  standard: {
+    id: 'standard',
+    name: 'STANDARD FIELD',
+    description: 'Two slips and a gully, sweepers on both sides',
+    outcomes: {},
+    wicketTypes: {},
+    catching: 0
+  },
+  attacking: {
+    id: 'attacking',
+    name: 'ATTACKING SLIP CORDON',
+    description: 'Four slips, gully and short leg - gaps in the outfield',
+    outcomes: { dot: 1.05, single: 0.9, four: 1.15, wicket: 1.15 },
+    wicketTypes: { caught: 1.3 },
+    catching: 0.04
+  },
+  closeCatchers: {
+    id: 'closeCatchers',
+    name: 'CLOSE CATCHERS',
+    description: 'Slip, silly point, short leg and leg slip around the bat',
+    outcomes: { dot: 1.1, single: 0.9, four: 1.1, six: 1.15, wicket: 1.15 },
+    wicketTypes: { caught: 1.25, stumped: 1.2, lbw: 1.1 },
+    catching: 0.02
+  },
+  ring: {
+    id: 'ring',
+    name: 'RING FIELD',
+    description: 'Infield saving the single',
+    outcomes: { dot: 1.15, single: 0.75, two: 0.9, four: 1.1, six: 1.05 },
+    wicketTypes: { run_out: 1.5 },
+    catching: 0
+  },
+  boundaryRiders: {
+    id: 'boundaryRiders',
+    name: 'BOUNDARY RIDERS',
+    description: 'Sweepers, long-on and long-off back - singles on offer',
+    outcomes: { dot: 0.9, single: 1.3, two: 1.25, four: 0.7, six: 0.85, wicket: 0.9 },
+    wicketTypes: { caught: 1.15, bowled: 0.9 },
+    catching: -0.02
+  },
+  legSideTrap: {
+    id: 'legSideTrap',
+    name: 'LEG-SIDE TRAP',
+    description: 'Short leg, leg gully, deep square and fine leg for the short ball',
+    outcomes: { dot: 1.05, single: 0.95, four: 0.9, six: 1.1, wicket: 1.1 },
+    wicketTypes: { caught: 1.3, bowled: 0.7, lbw: 0.7 },
+    catching: 0.02
+  }
+}
+
+/**
+ * Get a field setting by id
+ * @param {string} id - FIELD_SETTINGS key
+ * @returns {Object} Field setting (standard if unknown)
+ */
+export function getFieldSetting(id) {
+  return FIELD_SETTINGS[id] || FIELD_SETTINGS.standard
+}
+
+/**
+ * Choose a Test match field
+ */
+function chooseTestField(matchState, bowler, isSpinner, over) {
+  const ballAge = matchState.getBallAge()
+
+  // Go for the tail
+  if (matchState.wickets >= 8) return isSpinner ? FIELD_SETTINGS.closeCatchers : FIELD_SETTINGS.attacking
+
+  // Bounce out a set pair with the older ball, or push the field back
+  if (matchState.currentPartnership.runs >= 100) {
+    return isSpinner ? FIELD_SETTINGS.boundaryRiders : FIELD_SETTINGS.legSideTrap
+  }
+
+  if (!isSpinner && ballAge < 10) return FIELD_SETTINGS.attacking
+  if (isSpinner && matchState.day >= 4) return FIELD_SETTINGS.closeCatchers
+
+  // Edges to take: spin turning away from the bat once the pitch is wearing, or a
+  // left-armer angling the ball across a right-hander
+  const striker = matchState.striker
+  if (isSpinner && matchState.day >= 3 && turnsAwayFrom(bowler, striker)) return FIELD_SETTINGS.closeCatchers
+  if (!isSpinner && ballAge < 20 && isLeftArm(bowler) && striker && !isLeftHanded(striker)) return FIELD_SETTINGS.attacking
+
+  // Dry up the runs when the batting side is scoring quickly
+  if (over >= 20 && (matchState.score / over) > 5) return FIELD_SETTINGS.boundaryRiders
+
+  return FIELD_SETTINGS.standard
+}
+
+/**
+ * Choose a limited-overs field
+ */
+function chooseLimitedOversField(matchState, isSpinner, over) {
+  if (matchState.isSuperOver) return FIELD_SETTINGS.boundaryRiders
+
+  const rules = matchState.getFormatRules()
+  const fieldingPhase = matchState.getFieldingPhase()
+  const battingPhase = getInningsPhase(over, matchState.totalOvers, rules)
+
+  // Only two fielders allowed out: attack with the new ball, then save singles
+  if (fieldingPhase && fieldingPhase.fieldersOutside <= 2) {
+    return over < 2 && !isSpinner ? FIELD_SETTINGS.attacking : FIELD_SETTINGS.ring
+  }
+
+  if (matchState.wickets >= 7) return FIELD_SETTINGS.attacking
+  if (battingPhase === 'death_overs') return FIELD_SETTINGS.boundaryRiders
+
+  // A chase falling behind the rate lets the fielding side keep the boundaries covered
+  if (matchState.currentInning === 2) {
+    const ballsLeft = matchState.getTotalBalls() - matchState.balls
+    const needed = matchState.getTarget() - matchState.score
+    if (ballsLeft > 0 && (needed / ballsLeft) * 6 > 9) return FIELD_SETTINGS.boundaryRiders
+  }
+
+  // A left/right pair rotating the strike keeps moving a ring field about
+  return isSpinner && !isLeftRightPair(matchState) ? FIELD_SETTINGS.ring : FIELD_SETTINGS.standard
+}
+
+/**
+ * Choose the field for an over
+ * @param {MatchState} matchState - Match state at the start of the over
+ * @param {Player} bowler - Bowler for the over
+ * @returns {Object} Field setting
+ */
+export function chooseFieldSetting(matchState, bowler) {
+  const isSpinner = Boolean(bowler && bowler.bowling.style && bowler.bowling.style.includes('spin'))
+  const over = Math.floor(matchState.balls / matchState.ballsPerOver)
+
+  if (matchState.format === 'Test') return chooseTestField(matchState, bowler, isSpinner, over)
+  return chooseLimitedOversField(matchState, isSpinner, over)
+}
+
+export default {
+  FIELD_SETTINGS,
+  getFieldSetting,
+  chooseFieldSetting
+}
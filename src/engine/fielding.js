@@ -0,0 +1,217 @@
+/**
+ * Fielding - Picks the fielder involved in a dismissal
+ *
+ * Implements:
+ * - Stumpings always go to the wicket-keeper
+ * - Catches weighted by each fielder's catching and where they field: edges off
+ *   pace carry to the keeper and slips, spinners take more return catches
+ * - Run-outs weighted by each fielder's throwing
+ * - If no specialist keeper is playing, the best catcher takes the gloves
+ * - Catches and stumpings are chances: the fielder's catching and agility, a wet
+ *   ball or dew, and the pressure of a tight finish decide whether they're taken
+ * - Run-outs happen at either end, to either batter, after any runs already completed
+ */
+
+import { WICKET_TYPES } from './matchConstants.js'
+import { WEATHER_CONDITIONS } from './matchConditions.js'
+import { PLAYER_ROLES } from './playerStats.js'
+
+// Close catchers (slips and gully) - the best catchers who aren't keeping or bowling
+const CLOSE_CATCHERS = 3
+
+// Share of catches each position takes, relative to an outfielder
+const CATCH_POSITION_WEIGHTS = {
+  pace: { keeper: 3, slip: 1.5, outfield: 1, bowler: 0.3 },
+  spin: { keeper: 1, slip: 1.2, outfield: 1, bowler: 0.6 }
+}
+
+// Chances a fielder with 0 and 100 skill would hold (a 75-rated fielder holds ~82%)
+const MIN_CHANCE_TAKEN = 0.55
+const MAX_CHANCE_TAKEN = 0.9
+
+// Chance the batters had crossed when the wicket was broken
+const CROSSED_CHANCE = 0.5
+
+/**
+ * Get the player keeping wicket
+ * @param {Array} players - Fielding XI
+ * @returns {Player|null} Specialist keeper, or the best catcher standing in
+ */
+export function getDesignatedKeeper(players) {
+  const keeper = players.find(p => p.role === PLAYER_ROLES.WICKET_KEEPER)
+  if (keeper) return keeper
+
+  return [...players].sort((a, b) => b.fielding.catching - a.fielding.catching)[0] || null
+}
+
+/**
+ * Work out where each fielder is standing for a delivery
+ * @param {Array} players - Fielding XI
+ * @param {Player} bowler - Current bowler
+ * @returns {Map} Player id -> 'keeper', 'bowler', 'slip' or 'outfield'
+ */
+export function getFieldingPositions(players, bowler) {
+  const keeper = getDesignatedKeeper(players)
+  const positions = new Map()
+
+  const fielders = players
+    .filter(p => p !== keeper && p !== bowler)
+    .sort((a, b) => b.fielding.catching - a.fielding.catching)
+
+  fielders.forEach((player, index) => {
+    positions.set(player.id, index < CLOSE_CATCHERS ? 'slip' : 'outfield')
+  })
+  if (keeper) positions.set(keeper.id, 'keeper')
+  if (bowler) positions.set(bowler.id, 'bowler')
+
+  return positions
+}
+
+/**
+ * Pick one candidate in proportion to its weight
+ * @param {Array} candidates - { player, weight } entries
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {Player|null} Chosen player
+ */
+function pickWeighted(candidates, rng) {
+  const total = candidates.reduce((sum, c) => sum + c.weight, 0)
+  if (total <= 0) return null
+
+  let roll = rng.random() * total
+  for (const candidate of candidates) {
+    roll -= candidate.weight
+    if (roll <= 0) return candidate.player
+  }
+  return candidates[candidates.length - 1].player
+}
+
+/**
+ * Pick the fielder credited with a dismissal
+ * @param {string} wicketType - WICKET_TYPES value
+ * @param {Array} players - Fielding XI
+ * @param {Player} bowler - Current bowler
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {Player|null} Fielder, or null for dismissals without one (bowled, lbw, hit wicket)
+ */
+export function selectFielder(wicketType, players, bowler, rng) {
+  switch (wicketType) {
+    case WICKET_TYPES.STUMPED:
+      return getDesignatedKeeper(players)
+
+    case WICKET_TYPES.CAUGHT: {
+      const style = bowler.bowling?.style || ''
+      const weights = CATCH_POSITION_WEIGHTS[style.includes('spin') ? 'spin' : 'pace']
+      const positions = getFieldingPositions(players, bowler)
+
+      return pickWeighted(players.map(player => ({
+        player,
+        weight: weights[positions.get(player.id)] * player.fielding.catching / 50
+      })), rng)
+    }
+
+    case WICKET_TYPES.RUN_OUT:
+      return pickWeighted(players.map(player => ({
+        player,
+        weight: player.fielding.throwing / 50
+      })), rng)
+
+    default:
+      return null
+  }
+}
+
+/**
+ * Get how much pressure the fielding side is under (0-1)
+ * A tight chase at the end of a limited-overs match, or a Test's 4th innings, puts
+ * every chance under more strain
+ * @param {MatchState} matchState - Match state
+ * @returns {number} Pressure (0 none, 1 a tight finish)
+ */
+export function getFieldingPressure(matchState) {
+  if (matchState.format === 'Test') {
+    if (matchState.inningsNumber !== 4) return 0
+    return matchState.getFourthInningsTarget() - matchState.score <= 50 ? 1 : 0.5
+  }
+
+  if (matchState.isSuperOver) return 1
+  if (matchState.currentInning !== 2) return 0
+  const needed = matchState.getTarget() - matchState.score
+  const ballsLeft = matchState.getTotalBalls() - matchState.balls
+  if (needed <= 0 || ballsLeft <= 0) return 0
+  if (ballsLeft <= 30) return 1
+  return (needed / ballsLeft) * 6 > 9 ? 0.5 : 0
+}
+
+/**
+ * Get the probability a catch or stumping chance is taken
+ * @param {string} wicketType - WICKET_TYPES.CAUGHT or WICKET_TYPES.STUMPED
+ * @param {Player} fielder - Fielder with the chance
+ * @param {MatchConditions} conditions - Match conditions (wet ball, dew)
+ * @param {number} pressure - getFieldingPressure() value
+ * @param {Object} field - Field setting (a packed slip cordon holds more edges)
+ * @returns {number} Probability (0-1)
+ */
+export function getChanceTakenProbability(wicketType, fielder, conditions = null, pressure = 0, field = null) {
+  const { catching, agility } = fielder.fielding
+  // Stumpings are about quick hands; catches about safe ones
+  const skill = wicketType === WICKET_TYPES.STUMPED ? catching * 0.4 + agility * 0.6 : catching * 0.7 + agility * 0.3
+  let probability = MIN_CHANCE_TAKEN + (MAX_CHANCE_TAKEN - MIN_CHANCE_TAKEN) * skill / 100
+
+  if (conditions) {
+    if (conditions.weather === WEATHER_CONDITIONS.RAIN) probability -= 0.05
+    probability -= (conditions.dewFactor / 100) * 0.1
+  }
+
+  // Players who handle pressure well feel it less
+  probability -= pressure * 0.15 * (100 - fielder.mental.pressure) / 100
+
+  if (field) probability += field.catching
+
+  return Math.max(0.3, Math.min(0.97, probability))
+}
+
+/**
+ * Decide whether a catch or stumping chance is taken
+ * @param {string} wicketType - WICKET_TYPES value
+ * @param {Player} fielder - Fielder with the chance
+ * @param {MatchConditions} conditions - Match conditions
+ * @param {number} pressure - getFieldingPressure() value
+ * @param {SeededRandom} rng - Match's random number source
+ * @param {Object} field - Field setting
+ * @returns {boolean} True if taken (always true for dismissals that aren't chances)
+ */
+export function isChanceTaken(wicketType, fielder, conditions, pressure, rng, field = null) {
+  if (!fielder || (wicketType !== WICKET_TYPES.CAUGHT && wicketType !== WICKET_TYPES.STUMPED)) return true
+  return rng.chance(getChanceTakenProbability(wicketType, fielder, conditions, pressure, field))
+}
+
+/**
+ * Work out a run-out while the batters are running between the wickets
+ * The batters swap ends with each completed run. The throw breaks the wicket at one end:
+ * if the batters had crossed, the one heading for that end is out, otherwise the one who
+ * left it is. Either way the not-out batter finishes at the other end and the new batter
+ * comes in at the broken wicket
+ * @param {number} runsCompleted - Runs completed before the wicket was broken
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {Object} { nonStrikerOut, newBatsmanOnStrike }
+ */
+export function resolveRunOut(runsCompleted, rng) {
+  const brokenAtStrikersEnd = rng.chance(0.5)
+  const crossed = rng.chance(CROSSED_CHANCE)
+
+  // On the attempted run the striker heads back to their own end after an odd number of runs
+  const strikerHeadingForBrokenEnd = (runsCompleted % 2 === 1) === brokenAtStrikersEnd
+  const strikerOut = crossed ? strikerHeadingForBrokenEnd : !strikerHeadingForBrokenEnd
+
+  return { nonStrikerOut: !strikerOut, newBatsmanOnStrike: brokenAtStrikersEnd }
+}
+
+export default {
+  getDesignatedKeeper,
+  getFieldingPositions,
+  selectFielder,
+  getFieldingPressure,
+  getChanceTakenProbability,
+  isChanceTaken,
+  resolveRunOut
+}
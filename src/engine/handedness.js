@@ -0,0 +1,164 @@
+/**
+ * Handedness - Left and right-handed batters against left and right-arm bowlers
+ *
+ * Implements:
+ * - A left-arm seamer angles the ball across a right-hander, bringing the edge
+ *   into play, and into a left-hander's pads and stumps
+ * - Spin turning away from the bat (an off-spinner to a left-hander, a leg or
+ *   left-arm spinner to a right-hander) finds the edge; spin turning in is
+ *   easier to play
+ * - On days 4-5 the seamers' footmarks leave rough for the spinners to aim at:
+ *   right-arm quicks rough up the area outside a left-hander's off stump, left-arm
+ *   quicks the area outside a right-hander's
+ * - How well a bowler matches up against the batters at the crease, for the
+ *   captain's bowling changes
+ */
+
+import { HANDEDNESS } from './playerStats.js'
+
+// Spin styles that turn away from a right-hander
+const AWAY_FROM_RIGHT_HANDER = ['leg_spin', 'left_arm_spin']
+
+// Day the footmarks start to matter, and the day they are at their worst
+const ROUGH_FIRST_DAY = 4
+const ROUGH_WORST_DAY = 5
+
+function isSpinner(bowler) {
+  return Boolean(bowler && bowler.bowling.style && bowler.bowling.style.includes('spin'))
+}
+
+/**
+ * Is a batter left-handed
+ * @param {Player} batsman - Batter
+ * @returns {boolean}
+ */
+export function isLeftHanded(batsman) {
+  return Boolean(batsman && batsman.batting.hand === HANDEDNESS.LEFT)
+}
+
+/**
+ * Does a bowler bowl left-arm
+ * @param {Player} bowler - Bowler
+ * @returns {boolean}
+ */
+export function isLeftArm(bowler) {
+  return Boolean(bowler && bowler.bowling.arm === HANDEDNESS.LEFT)
+}
+
+/**
+ * Does a spinner turn the ball away from the batter's bat
+ * @param {Player} bowler - Bowler
+ * @param {Player} batsman - Batter
+ * @returns {boolean} False for seamers
+ */
+export function turnsAwayFrom(bowler, batsman) {
+  if (!isSpinner(bowler) || !batsman) return false
+  return AWAY_FROM_RIGHT_HANDER.includes(bowler.bowling.style) !== isLeftHanded(batsman)
+}
+
+/**
+ * Is one batter at the crease left-handed and the other right-handed
+ * @param {MatchState} matchState - Match state
+ * @returns {boolean}
+ */
+export function isLeftRightPair(matchState) {
+  const { striker, nonStriker } = matchState
+  return Boolean(striker && nonStriker) && isLeftHanded(striker) !== isLeftHanded(nonStriker)
+}
+
+/**
+ * Get the ball outcome modifiers for the batter's hand against the bowler's arm
+ * A right-hander facing right-arm seam is the neutral case
+ * @param {Player} batsman - Batter on strike
+ * @param {Player} bowler - Bowler
+ * @returns {Object} Ball outcome modifiers
+ */
+export function getHandednessModifiers(batsman, bowler) {
+  const leftHanded = isLeftHanded(batsman)
+
+  if (isSpinner(bowler)) {
+    // Turning away from the bat finds the edge, whichever hand the batter uses; turning
+    // in can be played with the spin (though the leg-spinner's googly still goes the other way)
+    if (turnsAwayFrom(bowler, batsman)) return { wicket: 1.1, dot: 1.04 }
+    return { wicket: bowler.bowling.style === 'leg_spin' ? 0.97 : 0.93, single: 1.05 }
+  }
+
+  // A left-arm seamer angles it across the right-hander
+  if (isLeftArm(bowler)) return leftHanded ? {} : { wicket: 1.06, dot: 1.03 }
+
+  // A right-arm seamer angles it across the left-hander, who leaves more and is fed on the pads
+  return leftHanded ? { dot: 1.02, four: 1.03 } : {}
+}
+
+/**
+ * Get the dismissal type modifiers for the batter's hand against the bowler's arm
+ * @param {Player} batsman - Batter on strike
+ * @param {Player} bowler - Bowler
+ * @returns {Object} Dismissal type modifiers
+ */
+export function getHandednessWicketTypes(batsman, bowler) {
+  if (isSpinner(bowler)) {
+    // Turning away takes the edge; turning in hits the pads
+    return turnsAwayFrom(bowler, batsman) ? { caught: 1.2, stumped: 1.1 } : { lbw: 1.15, bowled: 1.1 }
+  }
+
+  if (isLeftArm(bowler)) {
+    // An angle across the right-hander is hard to win an lbw with
+    return isLeftHanded(batsman) ? { lbw: 1.2, bowled: 1.1 } : { caught: 1.15, lbw: 0.85 }
+  }
+
+  return isLeftHanded(batsman) ? { caught: 1.1, lbw: 0.9 } : {}
+}
+
+/**
+ * Get the ball outcome modifiers for a spinner bowling into the footmarks
+ * An off-spinner to a left-hander and a leg-spinner to a right-hander (round the legs)
+ * use the right-arm quicks' rough; a left-arm spinner to a right-hander uses the
+ * left-arm quicks'
+ * @param {TestMatchState} matchState - Match state (day and both XIs)
+ * @param {Player} batsman - Batter on strike
+ * @param {Player} bowler - Bowler
+ * @returns {Object} Ball outcome modifiers (none before day 4)
+ */
+export function getRoughModifiers(matchState, batsman, bowler) {
+  if (!isSpinner(bowler) || !batsman || !(matchState.day >= ROUGH_FIRST_DAY)) return {}
+
+  const style = bowler.bowling.style
+  const leftHanded = isLeftHanded(batsman)
+  let wantsLeftArmRough
+  if (style === 'off_spin' && leftHanded) wantsLeftArmRough = false
+  else if (style === 'leg_spin' && !leftHanded) wantsLeftArmRough = false
+  else if (style === 'left_arm_spin' && !leftHanded) wantsLeftArmRough = true
+  else return {}
+
+  // Both sides' quicks have bowled on this pitch
+  const seamers = [...matchState.battingTeam.players, ...matchState.bowlingTeam.players]
+    .filter(p => (p.role === 'bowler' || p.role === 'all_rounder') && !isSpinner(p))
+  if (!seamers.some(p => isLeftArm(p) === wantsLeftArmRough)) return {}
+
+  const rough = Math.min(1, (matchState.day - ROUGH_FIRST_DAY + 1) / (ROUGH_WORST_DAY - ROUGH_FIRST_DAY + 1))
+  return { wicket: 1 + 0.2 * rough, dot: 1 + 0.08 * rough, four: 1 - 0.05 * rough }
+}
+
+/**
+ * Score how well a bowler matches up against the batters at the crease
+ * @param {Player} bowler - Bowler
+ * @param {Array} batters - Batters at the crease
+ * @returns {number} Average wicket modifier (above 1 favours the bowler)
+ */
+export function getMatchupScore(bowler, batters) {
+  const present = batters.filter(Boolean)
+  if (present.length === 0) return 1
+  return present.reduce((sum, batsman) => sum + (getHandednessModifiers(batsman, bowler).wicket || 1), 0) / present.length
+}
+
+export default {
+  isLeftHanded,
+  isLeftArm,
+  turnsAwayFrom,
+  isLeftRightPair,
+  getHandednessModifiers,
+  getHandednessWicketTypes,
+  getRoughModifiers,
+  getMatchupScore
+}
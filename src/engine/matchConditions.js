@@ -6,11 +6,14 @@
  * - Weather conditions (sunny, overcast, humid)
  * - Time of day (affects visibility, dew)
  * - Pitch wear (increases as match progresses)
+ * - How fast the ball loses its shine and roughens, and how it swings
  * 
  * These conditions modify the base probabilities in the probability engine.
  */
 
 import { BOWLING_STYLES } from './playerStats.js';
+import { createRandom } from './random.js';
+import { BALL_WEAR_PER_DELIVERY, getConventionalSwing, getReverseSwing } from './ballCondition.js';
 
 /**
  * Pitch type definitions
@@ -118,11 +121,14 @@ export class MatchConditions {
 
   /**
    * Get weather modifiers
+   * With a ball, swing and reverse swing also reflect its shine and roughness
+   * @param {Object} ball - Ball condition (optional)
    * @returns {Object} Weather-based modifiers
    */
-  getWeatherModifiers() {
+  getWeatherModifiers(ball = null) {
     const modifiers = {
       swing: 1.0,
+      reverse_swing: 1.0,
       pace_effectiveness: 1.0,
       spin_effectiveness: 1.0,
       visibility: 1.0,
@@ -139,10 +145,12 @@ export class MatchConditions {
       case WEATHER_CONDITIONS.HUMID:
         modifiers.stamina_drain = 1.4;
         modifiers.swing = 1.2;
+        modifiers.reverse_swing = 0.9;
         break;
         
       case WEATHER_CONDITIONS.RAIN:
         modifiers.swing = 1.3;
+        modifiers.reverse_swing = 0.5; // A damp ball won't reverse
         modifiers.pace_effectiveness = 0.8;
         modifiers.spin_effectiveness = 0.7;
         break;
@@ -154,6 +162,7 @@ export class MatchConditions {
         
       default: // SUNNY
         modifiers.spin_effectiveness = 1.1;
+        modifiers.reverse_swing = 1.2; // Dry air keeps the rough side light
         break;
     }
 
@@ -163,11 +172,116 @@ export class MatchConditions {
       modifiers.swing *= (1 - dewImpact * 0.3);
       modifiers.spin_effectiveness *= (1 - dewImpact * 0.4);
       modifiers.pace_effectiveness *= (1 + dewImpact * 0.2);
+      modifiers.reverse_swing *= (1 - dewImpact * 0.5);
+    }
+
+    // Swing needs the shine; reverse swing needs a rough, dull ball
+    if (ball) {
+      modifiers.swing *= getConventionalSwing(ball);
+      modifiers.reverse_swing *= getReverseSwing(ball);
     }
 
     return modifiers;
   }
 
+  /**
+   * Get how much shine a ball loses and roughness it gains per legal delivery
+   * Dry, dusty and worn pitches scuff it faster; humid air helps keep the shine,
+   * and hot sun dries it out
+   * @returns {Object} { shine, roughness } change per delivery
+   */
+  getBallWearRates() {
+    let shine = BALL_WEAR_PER_DELIVERY.shine;
+    let roughness = BALL_WEAR_PER_DELIVERY.roughness;
+
+    switch (this.pitchType) {
+      case PITCH_TYPES.TURNING:
+      case PITCH_TYPES.SLOW:
+        roughness *= 1.4;
+        break;
+      case PITCH_TYPES.BOWLING:
+        roughness *= 0.8; // Grass cushions the ball
+        break;
+      default:
+        break;
+    }
+    roughness *= 1 + this.pitchWear / 200;
+
+    switch (this.weather) {
+      case WEATHER_CONDITIONS.HUMID:
+        shine *= 0.75;
+        break;
+      case WEATHER_CONDITIONS.SUNNY:
+        shine *= 1.2;
+        roughness *= 1.2;
+        break;
+      case WEATHER_CONDITIONS.RAIN:
+        roughness *= 0.7;
+        break;
+      default:
+        break;
+    }
+
+    return { shine, roughness };
+  }
+
+  /**
+   * Chance that rain stops play during an over of a limited-overs match
+   * @returns {number} Probability per over (0 unless it's raining)
+   */
+  getRainInterruptionChance() {
+    return this.weather === WEATHER_CONDITIONS.RAIN ? 0.03 : 0;
+  }
+
+  /**
+   * Chance that rain costs overs in a session of a Test match
+   * @returns {number} Probability per session
+   */
+  getSessionRainChance() {
+    switch (this.weather) {
+      case WEATHER_CONDITIONS.RAIN:
+        return 0.6;
+      case WEATHER_CONDITIONS.OVERCAST:
+        return 0.25;
+      case WEATHER_CONDITIONS.HUMID:
+        return 0.12;
+      case WEATHER_CONDITIONS.WINDY:
+        return 0.06;
+      default:
+        return 0.03;
+    }
+  }
+
+  /**
+   * Chance that bad light takes the players off in the evening session
+   * @returns {number} Probability per evening session
+   */
+  getBadLightChance() {
+    switch (this.weather) {
+      case WEATHER_CONDITIONS.RAIN:
+      case WEATHER_CONDITIONS.OVERCAST:
+        return 0.4;
+      case WEATHER_CONDITIONS.HUMID:
+        return 0.15;
+      default:
+        return 0.05;
+    }
+  }
+
+  /**
+   * Roll the weather for a new day of a multi-day match
+   * @param {SeededRandom} rng - Match's random number source
+   * @returns {boolean} True if the weather changed
+   */
+  updateWeatherForDay(rng) {
+    if (!rng.chance(0.35)) return false;
+
+    const weather = rng.pick(Object.values(WEATHER_CONDITIONS));
+    const changed = weather !== this.weather;
+    this.weather = weather;
+    return changed;
+  }
+
   /**
    * Get ground size modifiers
    * @returns {Object} Ground-based modifiers
@@ -309,20 +423,21 @@ export class MatchConditions {
   /**
    * Generate a random match condition setup
    * @param {string} matchType - Type of match (T20, ODI, Test)
+   * @param {SeededRandom} rng - Random number source (pass the match's rng to reproduce it)
    * @returns {MatchConditions} Random conditions
    */
-  static generateRandom(matchType = 'T20') {
+  static generateRandom(matchType = 'T20', rng = createRandom()) {
     const pitchTypes = Object.values(PITCH_TYPES);
     const weatherTypes = Object.values(WEATHER_CONDITIONS);
     const groundSizes = ['small', 'medium', 'large'];
     
     return new MatchConditions({
-      pitchType: pitchTypes[Math.floor(Math.random() * pitchTypes.length)],
-      weather: weatherTypes[Math.floor(Math.random() * weatherTypes.length)],
+      pitchType: rng.pick(pitchTypes),
+      weather: rng.pick(weatherTypes),
       pitchWear: 0,
-      dewFactor: Math.random() < 0.3 ? Math.floor(Math.random() * 30) : 0,
-      groundSize: groundSizes[Math.floor(Math.random() * groundSizes.length)],
-      altitude: Math.random() < 0.1 ? 'high' : 'sea_level'
+      dewFactor: rng.chance(0.3) ? Math.floor(rng.random() * 30) : 0,
+      groundSize: rng.pick(groundSizes),
+      altitude: rng.chance(0.1) ? 'high' : 'sea_level'
     });
   }
 
@@ -34,7 +34,120 @@ export const WICKET_TYPES = {
   HIT_WICKET: 'hit_wicket'
 };
 
+/**
+ * How many runs each kind of extra is worth (weights summing to 100)
+ * wide: total wides, including any run taken or the ball reaching the boundary (5)
+ * no_ball: runs off the bat - the one-run no-ball penalty is added on top
+ * bye, leg_bye: runs run (or 4 if it reaches the boundary)
+ */
+export const EXTRA_RUNS = {
+  wide: { 1: 90, 2: 5, 5: 5 },
+  no_ball: { 0: 50, 1: 25, 2: 7, 4: 12, 6: 6 },
+  bye: { 1: 70, 2: 12, 4: 18 },
+  leg_bye: { 1: 78, 2: 10, 4: 12 }
+};
+
+/**
+ * Runs completed before a run-out (weights summing to 100)
+ */
+export const RUN_OUT_RUNS = { 0: 60, 1: 32, 2: 8 };
+
+/**
+ * Extras charged to the bowler's figures (byes and leg byes are not)
+ */
+export const BOWLER_EXTRAS = [BALL_OUTCOMES.WIDE, BALL_OUTCOMES.NO_BALL];
+
+/**
+ * Limited-overs match formats
+ *
+ * An "over" is ballsPerOver legal balls (a 5-ball set in The Hundred).
+ * ballsPerEnd: legal balls before the ends change (defaults to ballsPerOver)
+ * maxBallsPerBowler: per-bowler limit (defaults to a fifth of the innings)
+ * countInBalls: show progress as balls bowled rather than overs
+ * fieldingPhases: fielding restrictions in force up to (not including) endOver,
+ * with the number of fielders allowed outside the 30-yard circle
+ * battingPhases: last over (exclusive) of the powerplay and middle overs;
+ * everything after middleOversEnd is the death
+ * rain: most overs one stoppage can cost, and the fewest overs a side must
+ * be left to bat for the match to stand
+ * bouncersPerOver: short-pitched balls a bowler may bowl in an over
+ * newBalls: balls in use at once (a new ball from each end in ODIs; defaults to 1)
+ */
+export const MATCH_FORMATS = {
+  T20: {
+    id: 'T20',
+    name: 'T20',
+    overs: 20,
+    ballsPerOver: 6,
+    fieldingPhases: [
+      { name: 'POWERPLAY', endOver: 6, fieldersOutside: 2 },
+      { name: 'NO POWERPLAY', endOver: 20, fieldersOutside: 5 }
+    ],
+    battingPhases: { powerplayEnd: 6, middleOversEnd: 15 },
+    rain: { maxOversLost: 4, minOvers: 5 },
+    bouncersPerOver: 1
+  },
+  ODI: {
+    id: 'ODI',
+    name: 'ONE DAY INTERNATIONAL',
+    overs: 50,
+    ballsPerOver: 6,
+    fieldingPhases: [
+      { name: 'POWERPLAY 1', endOver: 10, fieldersOutside: 2 },
+      { name: 'POWERPLAY 2', endOver: 40, fieldersOutside: 4 },
+      { name: 'POWERPLAY 3', endOver: 50, fieldersOutside: 5 }
+    ],
+    battingPhases: { powerplayEnd: 10, middleOversEnd: 40 },
+    rain: { maxOversLost: 10, minOvers: 20 },
+    bouncersPerOver: 2,
+    newBalls: 2
+  },
+  HUNDRED: {
+    id: 'HUNDRED',
+    name: 'THE HUNDRED',
+    overs: 20, // 20 sets of 5 = 100 balls
+    ballsPerOver: 5,
+    ballsPerEnd: 10, // A bowler delivers 5 or 10 balls in a row from one end
+    maxBallsPerBowler: 20,
+    countInBalls: true,
+    fieldingPhases: [
+      { name: 'POWERPLAY', endOver: 5, fieldersOutside: 2 }, // First 25 balls
+      { name: 'NO POWERPLAY', endOver: 20, fieldersOutside: 5 }
+    ],
+    battingPhases: { powerplayEnd: 5, middleOversEnd: 15 },
+    rain: { maxOversLost: 4, minOvers: 5 }, // Sets of 5: at least 25 balls a side
+    bouncersPerOver: 1
+  }
+};
+
+/**
+ * Super Over tiebreak for tied limited-overs matches
+ * Each side faces one over with three batters, so two wickets ends it;
+ * Super Overs repeat until there is a winner
+ */
+export const SUPER_OVER = {
+  overs: 1,
+  batters: 3,
+  wickets: 2,
+  maxSuperOvers: 10 // Safety limit - the match stays tied if it is still level
+};
+
+/**
+ * Get the rules for a limited-overs format
+ * @param {string} formatId - MATCH_FORMATS key ('T20', 'ODI', 'HUNDRED')
+ * @returns {Object|null} Format rules, or null for formats without them (Test)
+ */
+export function getMatchFormat(formatId) {
+  return MATCH_FORMATS[formatId] || null;
+}
+
 export default {
   BALL_OUTCOMES,
-  WICKET_TYPES
+  WICKET_TYPES,
+  EXTRA_RUNS,
+  RUN_OUT_RUNS,
+  BOWLER_EXTRAS,
+  MATCH_FORMATS,
+  SUPER_OVER,
+  getMatchFormat
 };
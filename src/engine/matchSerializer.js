@@ -0,0 +1,306 @@
+/**
+ * Match Serializer - Save and restore a Test match in progress
+ *
+ * TestMatchState holds Maps, Player instances shared between teams and
+ * scorecards, a MatchConditions instance and the match's random number
+ * source. None of these survive JSON.stringify, so this module converts
+ * them to plain data and back.
+ *
+ * Approach:
+ * - Teams are stored in full; every other player reference is stored as an id
+ *   and resolved back to the same Player instance on load
+ * - Maps are stored as arrays of [key, value] entries
+ * - The rng stores its seed and current state so the match continues exactly
+ *   as it would have without the save
+ * - The innings' BowlingManager spell tracking is saved with the match state
+ * - Completed innings are saved without their copies of the delivery log
+ *   (rebuilt from the match's log on load) and commentary, and only the
+ *   latest commentary of the current innings is kept
+ * - The delivery log is saved as its field names and a row of values per
+ *   delivery, rather than repeating every field name on every ball
+ */
+
+import { TestMatchState } from './testMatchSimulator.js';
+import { BowlingManager } from './bowlingManager.js';
+import { MatchConditions } from './matchConditions.js';
+import { Player } from './playerStats.js';
+import { SeededRandom } from './random.js';
+
+/**
+ * Bump when the saved shape changes so stale saves are ignored
+ */
+export const SAVE_VERSION = 14;
+
+// MatchState fields that hold a single Player
+const PLAYER_REF_FIELDS = ['striker', 'nonStriker', 'bowler'];
+
+// MatchState fields that hold Maps
+const MAP_FIELDS = ['batsmanStats', 'bowlerStats', 'bowlerSpells', 'fieldingStats'];
+
+// BowlingManager fields that hold lists of Players
+const BOWLER_LIST_FIELDS = ['allBowlers', 'openingBowlers', 'firstChange', 'spinners'];
+
+// BowlingManager fields that hold Maps keyed by player id
+const BOWLER_MAP_FIELDS = ['currentSpells', 'restingSince', 'totalOversBowled'];
+
+// allInnings keys in innings order
+const INNINGS_KEYS = ['first', 'second', 'third', 'fourth'];
+
+// Commentary lines of the current innings kept in a save
+const SAVED_COMMENTARY_LINES = 50;
+
+/**
+ * Deep copy plain data (drops functions and class prototypes)
+ */
+function clonePlain(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Serialize a player to plain data
+ * @param {Player} player - Player instance
+ * @returns {Object} Plain player data
+ */
+export function serializePlayer(player) {
+  return clonePlain({ ...player });
+}
+
+/**
+ * Restore a player from plain data, including form, fitness and confidence
+ * @param {Object} data - Plain player data
+ * @returns {Player} Player instance
+ */
+export function deserializePlayer(data) {
+  return Object.assign(new Player(data), clonePlain(data));
+}
+
+/**
+ * Serialize a team with its players
+ */
+function serializeTeam(team) {
+  const { players, ...info } = team;
+  return { ...clonePlain(info), players: players.map(serializePlayer) };
+}
+
+/**
+ * Restore a team with its players
+ */
+function deserializeTeam(data) {
+  return { ...data, players: data.players.map(deserializePlayer) };
+}
+
+/**
+ * Serialize a partnership, replacing batsmen with their ids
+ */
+function serializePartnership(partnership) {
+  return {
+    ...partnership,
+    batsman1: partnership.batsman1 ? partnership.batsman1.id : null,
+    batsman2: partnership.batsman2 ? partnership.batsman2.id : null
+  };
+}
+
+/**
+ * Restore a partnership, resolving batsmen ids to players
+ */
+function deserializePartnership(data, playersById) {
+  return {
+    ...data,
+    batsman1: playersById.get(data.batsman1) || null,
+    batsman2: playersById.get(data.batsman2) || null
+  };
+}
+
+/**
+ * Serialize bowling manager spell state
+ * @param {BowlingManager} manager - Bowling manager
+ * @returns {Object} Plain spell state
+ */
+export function serializeBowlingManager(manager) {
+  const data = {
+    endA: manager.endA ? manager.endA.id : null,
+    endB: manager.endB ? manager.endB.id : null,
+    currentEnd: manager.currentEnd
+  };
+
+  for (const field of BOWLER_LIST_FIELDS) {
+    data[field] = manager[field].map(b => b.id);
+  }
+
+  for (const field of BOWLER_MAP_FIELDS) {
+    data[field] = Array.from(manager[field].entries());
+  }
+
+  return data;
+}
+
+/**
+ * Restore bowling manager spell state
+ * @param {Object} data - Plain spell state
+ * @param {Map} playersById - Lookup of restored players
+ * @returns {BowlingManager} Bowling manager
+ */
+export function deserializeBowlingManager(data, playersById) {
+  const resolve = ids => ids.map(id => playersById.get(id)).filter(p => p);
+  const manager = new BowlingManager(resolve(data.allBowlers));
+
+  for (const field of BOWLER_LIST_FIELDS) {
+    manager[field] = resolve(data[field]);
+  }
+
+  for (const field of BOWLER_MAP_FIELDS) {
+    manager[field] = new Map(data[field]);
+  }
+
+  manager.endA = playersById.get(data.endA) || null;
+  manager.endB = playersById.get(data.endB) || null;
+  manager.currentEnd = data.currentEnd;
+
+  return manager;
+}
+
+/**
+ * Serialize the delivery log as field names and rows of values
+ */
+function serializeDeliveries(deliveries) {
+  const fields = deliveries.length > 0 ? Object.keys(deliveries[0]) : [];
+  return { fields, rows: deliveries.map(d => clonePlain(fields.map(field => d[field]))) };
+}
+
+/**
+ * Restore the delivery log from field names and rows of values
+ */
+function deserializeDeliveries(data) {
+  return data.rows.map(row => Object.fromEntries(data.fields.map((field, i) => [field, row[i]])));
+}
+
+/**
+ * Serialize the completed innings, leaving out their delivery logs and commentary
+ */
+function serializeAllInnings(allInnings) {
+  const data = {};
+  for (const key of INNINGS_KEYS) {
+    const innings = allInnings[key];
+    data[key] = innings ? clonePlain({ ...innings, commentary: [], deliveries: [] }) : null;
+  }
+  return data;
+}
+
+/**
+ * Restore the completed innings, taking their deliveries from the match's log
+ */
+function deserializeAllInnings(data, deliveries) {
+  const allInnings = {};
+  INNINGS_KEYS.forEach((key, index) => {
+    const innings = data[key];
+    allInnings[key] = innings ? { ...innings, deliveries: deliveries.filter(d => d.innings === index + 1) } : null;
+  });
+  return allInnings;
+}
+
+/**
+ * Serialize a Test match in progress
+ * @param {TestMatchState} matchState - Match state
+ * @returns {Object} Plain data safe for JSON.stringify
+ */
+export function serializeTestMatch(matchState) {
+  const state = {};
+
+  for (const [key, value] of Object.entries(matchState)) {
+    if (key === 'rng') {
+      state.rng = { seed: value.seed, state: value.state };
+    } else if (key === 'bowlingManager') {
+      state[key] = value ? serializeBowlingManager(value) : null;
+    } else if (key === 'conditions') {
+      state.conditions = value ? clonePlain({ ...value }) : null;
+    } else if (key === 'team1' || key === 'team2') {
+      state[key] = serializeTeam(value);
+    } else if (key === 'battingTeam' || key === 'bowlingTeam') {
+      state[key] = value === matchState.team1 ? 'team1' : 'team2';
+    } else if (PLAYER_REF_FIELDS.includes(key)) {
+      state[key] = value ? value.id : null;
+    } else if (key === 'batsmen') {
+      state[key] = value.map(p => p.id);
+    } else if (key === 'currentPartnership') {
+      state[key] = serializePartnership(value);
+    } else if (key === 'partnerships') {
+      state[key] = value.map(serializePartnership);
+    } else if (MAP_FIELDS.includes(key)) {
+      state[key] = clonePlain(Array.from(value.entries()));
+    } else if (key === 'allInnings') {
+      state[key] = serializeAllInnings(value);
+    } else if (key === 'commentary') {
+      state[key] = clonePlain(value.slice(-SAVED_COMMENTARY_LINES));
+    } else if (key === 'deliveries') {
+      state[key] = serializeDeliveries(value);
+    } else {
+      state[key] = clonePlain(value);
+    }
+  }
+
+  return {
+    version: SAVE_VERSION,
+    state
+  };
+}
+
+/**
+ * Restore a Test match saved with serializeTestMatch
+ * @param {Object} saved - Serialized match
+ * @returns {TestMatchState} Match state
+ */
+export function deserializeTestMatch(saved) {
+  if (!saved || saved.version !== SAVE_VERSION) {
+    throw new Error('Saved match is missing or from an incompatible version');
+  }
+
+  const { state } = saved;
+  const team1 = deserializeTeam(state.team1);
+  const team2 = deserializeTeam(state.team2);
+  const playersById = new Map([...team1.players, ...team2.players].map(p => [p.id, p]));
+
+  const conditions = state.conditions ? Object.assign(new MatchConditions(), state.conditions) : null;
+  const rng = new SeededRandom(state.rng.seed);
+  rng.state = state.rng.state;
+
+  const matchState = new TestMatchState(team1, team2, conditions, rng);
+  const deliveries = deserializeDeliveries(state.deliveries);
+
+  for (const [key, value] of Object.entries(state)) {
+    if (['rng', 'conditions', 'team1', 'team2'].includes(key)) {
+      continue;
+    } else if (key === 'bowlingManager') {
+      matchState[key] = value ? deserializeBowlingManager(value, playersById) : null;
+    } else if (key === 'battingTeam' || key === 'bowlingTeam') {
+      matchState[key] = value === 'team1' ? team1 : team2;
+    } else if (PLAYER_REF_FIELDS.includes(key)) {
+      matchState[key] = playersById.get(value) || null;
+    } else if (key === 'batsmen') {
+      matchState[key] = value.map(id => playersById.get(id)).filter(p => p);
+    } else if (key === 'currentPartnership') {
+      matchState[key] = deserializePartnership(value, playersById);
+    } else if (key === 'partnerships') {
+      matchState[key] = value.map(p => deserializePartnership(p, playersById));
+    } else if (MAP_FIELDS.includes(key)) {
+      matchState[key] = new Map(value);
+    } else if (key === 'deliveries') {
+      matchState[key] = deliveries;
+    } else if (key === 'allInnings') {
+      matchState[key] = deserializeAllInnings(value, deliveries);
+    } else {
+      matchState[key] = value;
+    }
+  }
+
+  return matchState;
+}
+
+export default {
+  SAVE_VERSION,
+  serializeTestMatch,
+  deserializeTestMatch,
+  serializeBowlingManager,
+  deserializeBowlingManager,
+  serializePlayer,
+  deserializePlayer
+};
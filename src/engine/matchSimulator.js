@@ -5,7 +5,7 @@
  * - Ball-by-ball outcomes (runs, wickets, extras)
  * - Over management
  * - Innings transitions
- * - Match result determination
+ * - Match result determination (Super Overs settle ties)
  * 
  * Approach:
  * - Uses probabilistic model based on player stats and match conditions
@@ -23,21 +23,42 @@
 import { ProbabilityEngine } from './probabilityEngine.js';
 import { Player, PLAYER_ROLES } from './playerStats.js';
 import { MatchConditions } from './matchConditions.js';
-import { generateOverSummary, generateInningsSummary, generateMatchResult, generateMilestone } from './commentaryGenerator.js';
-import { formatScore, ballsToOvers, isMatchComplete, getMatchWinner, checkMilestone } from './matchUtils.js';
-import { BALL_OUTCOMES, WICKET_TYPES } from './matchConstants.js';
+import { generateOverSummary, generateInningsSummary, generateMatchResult, generateMilestone, generateSuperOverSummary, generateRainInterruption, generateRevisedTarget } from './commentaryGenerator.js';
+import { formatScore, ballsToOvers, getRunsConceded, getRunsRun, isMatchComplete, getMatchWinner, needsSuperOver, checkMilestone, getFieldingPhase } from './matchUtils.js';
+import { BALL_OUTCOMES, WICKET_TYPES, MATCH_FORMATS, SUPER_OVER, getMatchFormat } from './matchConstants.js';
+import { createRandom } from './random.js';
+import { getResourcesRemaining, getResourcesLost, calculateRevisedTarget, calculateParScore } from './dlsCalculator.js';
+import { FIELD_SETTINGS, getFieldSetting, chooseFieldSetting } from './fieldSettings.js';
+import { chooseBowlingPlan, chooseDelivery, getBouncerLimit } from './bowlingPlans.js';
+import { chooseBattingIntent } from './battingIntents.js';
+import { BALL_WEAR_PER_DELIVERY, createBall, wearBall } from './ballCondition.js';
+import { settleBatter } from './settledness.js';
 
 // Re-export constants for backward compatibility
-export { BALL_OUTCOMES, WICKET_TYPES };
+export { BALL_OUTCOMES, WICKET_TYPES, MATCH_FORMATS };
+
+// MatchState.extras counter for each kind of extra
+const EXTRA_KEYS = {
+  wide: 'wides',
+  no_ball: 'noBalls',
+  bye: 'byes',
+  leg_bye: 'legByes'
+}
 
 /**
  * Match state structure
  */
 export class MatchState {
-  constructor(team1, team2, overs = 20, conditions = null) {
+  constructor(team1, team2, overs = 20, conditions = null, rng = null, format = MATCH_FORMATS.T20.id) {
+    // Every random draw in this match comes from here, so the seed replays it exactly
+    this.rng = rng || createRandom()
+    this.seed = this.rng.seed
+    this.format = format
+    this.ballsPerOver = getMatchFormat(format) ? getMatchFormat(format).ballsPerOver : 6
     this.team1 = team1
     this.team2 = team2
     this.totalOvers = overs
+    this.startingOvers = overs // Overs a side before any rain
     this.currentInning = 1
     this.battingTeam = team1
     this.bowlingTeam = team2
@@ -54,27 +75,292 @@ export class MatchState {
     this.batsmen = [] // Track batsman order
     this.bowlers = [] // Track bowler statistics
     this.extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0 }
+    this.freeHit = false // Next legal delivery follows a no-ball
+    this.fieldSetting = FIELD_SETTINGS.standard.id // Field for the current over
+    this.fieldSettingOver = null // Innings and over the field was set for
+    this.userFieldSetting = FIELD_SETTINGS.standard.id // Field the user last set for their side
+    this.userTeamId = null // Side the user captains (null when the AI runs both)
+    this.userBowlingPlan = null // Plan the user has set for their bowlers (null leaves it to the AI)
+    this.bowlingPlan = null // AI captain's plan for the current over
+    this.bowlingPlanOver = null // Innings and over the plan was set for
+    this.bouncersThisOver = 0
+    this.delivery = null // Line, length and variation of the ball being bowled
+    this.userBattingIntents = {} // Intents the user has set for their batters, by player id
+    this.ball = createBall() // Shine and roughness of the ball in use
     this.innings = {
       first: { runs: 0, wickets: 0, overs: 0, extras: 0, fallOfWickets: [], commentary: [] },
       second: { runs: 0, wickets: 0, overs: 0, extras: 0, fallOfWickets: [], commentary: [] }
     }
-    this.conditions = conditions || MatchConditions.generateRandom('T20')
+    this.conditions = conditions || MatchConditions.generateRandom(this.format, this.rng)
     this.batsmanStats = new Map() // Track individual batsman stats
     this.bowlerStats = new Map() // Track individual bowler stats
+    this.fieldingStats = new Map() // Catches, stumpings and run-outs by player id, for the whole match
+    this.deliveries = [] // Structured ball-by-ball log for the whole match
+    this.superOvers = [] // Super Overs played to settle a tie
+    this.interruptions = [] // Rain stoppages that cost overs
+    this.revisedTarget = null // DLS target once rain has shortened the match
+  }
+
+  /**
+   * Get the innings currently in progress (1-based)
+   */
+  getInningsNumber() {
+    return this.currentInning
   }
 
   /**
    * Get current over number (e.g., 3.2 means 3 overs and 2 balls)
    */
   getCurrentOver() {
-    return ballsToOvers(this.balls)
+    return ballsToOvers(this.balls, this.ballsPerOver)
+  }
+
+  /**
+   * Get the number of legal balls in the innings
+   */
+  getTotalBalls() {
+    return this.totalOvers * this.ballsPerOver
+  }
+
+  /**
+   * Get legal balls bowled before the ends change (10 in The Hundred, otherwise one over)
+   */
+  getBallsPerEnd() {
+    const rules = this.getFormatRules()
+    return (rules && rules.ballsPerEnd) || this.ballsPerOver
+  }
+
+  /**
+   * Describe balls bowled for display: "57 BALLS" in The Hundred, otherwise "9.3 OV"
+   * @param {number} balls - Legal balls (defaults to the current innings)
+   */
+  describeBalls(balls = this.balls) {
+    const rules = this.getFormatRules()
+    if (rules && rules.countInBalls) return `${balls} BALLS`
+    return `${ballsToOvers(balls, this.ballsPerOver)} OV`
+  }
+
+  /**
+   * Describe an innings length for commentary: "44 overs", or "85 balls" in The Hundred
+   * @param {number} overs - Overs (sets of 5 in The Hundred)
+   */
+  describeOvers(overs) {
+    const rules = this.getFormatRules()
+    if (rules && rules.countInBalls) return `${overs * this.ballsPerOver} balls`
+    return `${overs} over${overs !== 1 ? 's' : ''}`
+  }
+
+  /**
+   * Get the score the chasing side needs to win (revised by DLS after rain)
+   */
+  getTarget() {
+    return this.revisedTarget || this.innings.first.runs + 1
+  }
+
+  /**
+   * Get the batting resources (DLS) one side had across its innings
+   * @param {number} innings - Innings number (1 or 2)
+   * @returns {number} Resources as a percentage of a full 50-over innings
+   */
+  getInningsResources(innings) {
+    const stoppages = this.interruptions.filter(i => i.innings === innings)
+    let startOvers = this.startingOvers
+    if (innings === 2) {
+      startOvers = stoppages.length > 0 ? stoppages[0].oversBefore : this.totalOvers
+    }
+    const lost = stoppages.reduce((sum, i) => sum + i.resourcesLost, 0)
+    return getResourcesRemaining(startOvers * this.ballsPerOver / 6, 0) - lost
+  }
+
+  /**
+   * Revise the chasing side's target once rain has cost either side overs
+   */
+  updateRevisedTarget() {
+    if (this.interruptions.length === 0) return
+    this.revisedTarget = calculateRevisedTarget(this.innings.first.runs, this.getInningsResources(1), this.getInningsResources(2))
+  }
+
+  /**
+   * Get the DLS par score - what the chasing side needs now to be level if no more play is possible
+   * @returns {number|null} Par score, or null outside the chase
+   */
+  getParScore() {
+    if (this.currentInning !== 2) return null
+    const resourcesLeft = getResourcesRemaining((this.getTotalBalls() - this.balls) / 6, this.wickets)
+    return calculateParScore(this.innings.first.runs, this.getInningsResources(1), this.getInningsResources(2), resourcesLeft)
+  }
+
+  /**
+   * Check for rain at the end of an over; if it stops play, overs are lost
+   * Rain in the first innings shortens both innings, and the chasing side's
+   * target is revised whenever either side loses overs
+   * @returns {Object|null} Interruption, or null if play carries on
+   */
+  checkForRain() {
+    const rules = this.getFormatRules()
+    const chance = this.conditions.getRainInterruptionChance()
+    if (!rules || !rules.rain || this.isSuperOver || chance === 0) return null
+    if (!this.rng.chance(chance)) return null
+    
+    // Can't cut below the minimum for a result, or below the overs already bowled
+    const minOvers = Math.max(rules.rain.minOvers, Math.ceil(this.balls / this.ballsPerOver))
+    const oversLost = Math.min(this.rng.int(1, rules.rain.maxOversLost), this.totalOvers - minOvers)
+    if (oversLost <= 0) return null
+    
+    const oversLeftBefore = (this.getTotalBalls() - this.balls) / 6
+    const oversBefore = this.totalOvers
+    this.totalOvers -= oversLost
+    
+    const interruption = {
+      innings: this.currentInning,
+      balls: this.balls,
+      wickets: this.wickets,
+      oversBefore,
+      overs: this.totalOvers,
+      oversLost,
+      resourcesLost: getResourcesLost(oversLeftBefore, (this.getTotalBalls() - this.balls) / 6, this.wickets)
+    }
+    this.interruptions.push(interruption)
+    this.commentary.push(generateRainInterruption(this.describeOvers(oversLost), this.describeOvers(this.totalOvers)))
+    
+    if (this.currentInning === 2) {
+      this.updateRevisedTarget()
+      this.commentary.push(generateRevisedTarget(this.battingTeam.name, this.revisedTarget, this.describeOvers(this.totalOvers)))
+    }
+    
+    return interruption
+  }
+
+  /**
+   * Get the rules for this match's limited-overs format (null for Tests)
+   */
+  getFormatRules() {
+    return getMatchFormat(this.format)
+  }
+
+  /**
+   * Wear the ball by one legal delivery, at the rates the pitch and weather set
+   * With a new ball at each end, each ball takes half the deliveries
+   */
+  wearBall() {
+    const rules = this.getFormatRules()
+    const rates = this.conditions ? this.conditions.getBallWearRates() : BALL_WEAR_PER_DELIVERY
+    wearBall(this.ball, rates, 1 / ((rules && rules.newBalls) || 1))
+  }
+
+  /**
+   * Maximum legal balls one bowler may bowl
+   * A fifth of the innings (4 overs in T20, 10 in ODI) unless the format sets its own (20 in The Hundred)
+   */
+  getMaxBallsPerBowler() {
+    const rules = this.getFormatRules()
+    if (rules && rules.maxBallsPerBowler) return rules.maxBallsPerBowler
+    return Math.ceil(this.totalOvers / 5) * this.ballsPerOver
+  }
+
+  /**
+   * Get the fielding restrictions for the current over
+   * @returns {Object|null} Fielding phase { number, name, startOver, endOver, fieldersOutside }
+   */
+  getFieldingPhase() {
+    return getFieldingPhase(Math.floor(this.balls / this.ballsPerOver), this.getFormatRules())
+  }
+
+  /**
+   * Get the field for the current over - the one set, or the one the captain will set before its first ball
+   * The user's side keeps the field the user last set; the AI captain picks one for the match situation
+   * @returns {Object} Field setting
+   */
+  getFieldForOver() {
+    const over = `${this.getInningsNumber()}:${Math.floor(this.balls / this.ballsPerOver)}`
+    if (this.fieldSettingOver === over) return getFieldSetting(this.fieldSetting)
+    return this.isUserBowling() ? getFieldSetting(this.userFieldSetting) : chooseFieldSetting(this, this.bowler)
+  }
+
+  /**
+   * Set the user's field for the rest of the current over and their later overs
+   * @param {string} id - FIELD_SETTINGS key
+   */
+  setUserFieldSetting(id) {
+    this.userFieldSetting = getFieldSetting(id).id
+    this.fieldSetting = this.userFieldSetting
+    this.fieldSettingOver = `${this.getInningsNumber()}:${Math.floor(this.balls / this.ballsPerOver)}`
+  }
+
+  /**
+   * Set the fielding captain's field at the start of each over
+   * @returns {Object} Field setting for the current over
+   */
+  setFieldForOver() {
+    const field = this.getFieldForOver()
+    this.fieldSetting = field.id
+    this.fieldSettingOver = `${this.getInningsNumber()}:${Math.floor(this.balls / this.ballsPerOver)}`
+    return field
+  }
+
+  /**
+   * Check if the user's side is in the field
+   */
+  isUserBowling() {
+    return this.userTeamId !== null && this.bowlingTeam.id === this.userTeamId
+  }
+
+  /**
+   * Check if the user's side is batting
+   */
+  isUserBatting() {
+    return this.userTeamId !== null && this.battingTeam.id === this.userTeamId
+  }
+
+  /**
+   * Get how a batter is playing - the intent the user has set for one of their batters,
+   * otherwise the one the AI captain picks for the match situation
+   * @param {Player} batsman - Batter
+   * @returns {string} BATTING_INTENTS key
+   */
+  getIntentForBatter(batsman) {
+    if (!batsman) return 'normal'
+    if (this.isUserBatting() && this.userBattingIntents[batsman.id]) return this.userBattingIntents[batsman.id]
+    return chooseBattingIntent(this, batsman)
+  }
+
+  /**
+   * Get the bowling plan for the current over - the user's if they have set one for
+   * their bowlers, otherwise the one the AI captain has set (or will set before the over's first ball)
+   * @returns {Object} Plan { line, length, variation }
+   */
+  getBowlingPlanForOver() {
+    if (this.isUserBowling() && this.userBowlingPlan) return this.userBowlingPlan
+    const over = `${this.getInningsNumber()}:${Math.floor(this.balls / this.ballsPerOver)}`
+    return this.bowlingPlanOver === over ? this.bowlingPlan : chooseBowlingPlan(this, this.bowler, this.striker)
+  }
+
+  /**
+   * Pick the next delivery from the bowling plan, keeping the over within its bouncer limit
+   * The AI captain sets a plan at the start of each over; a plan the user sets applies from the next ball
+   * @returns {Object} Delivery { line, length, variation, bouncer }
+   */
+  bowlDelivery() {
+    const over = `${this.getInningsNumber()}:${Math.floor(this.balls / this.ballsPerOver)}`
+    if (this.bowlingPlanOver !== over) {
+      this.bowlingPlan = chooseBowlingPlan(this, this.bowler, this.striker)
+      this.bowlingPlanOver = over
+      this.bouncersThisOver = 0
+    }
+
+    this.delivery = chooseDelivery(this.getBowlingPlanForOver(), this.bowler, this.bouncersThisOver, getBouncerLimit(this), this.rng)
+    if (this.delivery.bouncer) this.bouncersThisOver++
+    return this.delivery
   }
 
   /**
    * Check if innings is complete
    */
   isInningsComplete() {
-    return this.wickets >= 10 || this.balls >= this.totalOvers * 6
+    // Chasing side has reached the target
+    if (this.currentInning === 2 && this.score >= this.getTarget()) return true
+    
+    return this.wickets >= 10 || this.balls >= this.getTotalBalls()
   }
 
   /**
@@ -92,8 +378,8 @@ export class MatchState {
     }
     
     // Initialize stats for batsmen
-    this.batsmanStats.set(this.striker.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false })
-    this.batsmanStats.set(this.nonStriker.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false })
+    this.batsmanStats.set(this.striker.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false, settled: 0 })
+    this.batsmanStats.set(this.nonStriker.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false, settled: 0 })
   }
 
   /**
@@ -103,7 +389,7 @@ export class MatchState {
     const nextBatsmanIndex = this.batsmen.findIndex(b => !this.batsmanStats.has(b.id))
     if (nextBatsmanIndex !== -1) {
       const nextBatsman = this.batsmen[nextBatsmanIndex]
-      this.batsmanStats.set(nextBatsman.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false })
+      this.batsmanStats.set(nextBatsman.id, { runs: 0, balls: 0, fours: 0, sixes: 0, isOut: false, settled: 0 })
       return nextBatsman
     }
     return null
@@ -111,12 +397,18 @@ export class MatchState {
 
   /**
    * Handle wicket - bring in new batsman
+   * @param {Player} batsmanOut - Dismissed batsman
+   * @param {number} runs - Team score at the fall of the wicket
+   * @param {string} wicketType - WICKET_TYPES value
+   * @param {Player} bowler - Bowler
+   * @param {Player} fielder - Catcher, keeper or thrower, if any
+   * @param {boolean} newBatsmanOnStrike - New batsman faces next (defaults to taking the dismissed batsman's place)
    */
-  handleWicket(batsmanOut, runs, wicketType = null, bowler = null, fielder = null) {
+  handleWicket(batsmanOut, runs, wicketType = null, bowler = null, fielder = null, newBatsmanOnStrike = batsmanOut === this.striker) {
     // Record fall of wicket
     this.fallOfWickets.push({
       batsman: batsmanOut.name,
-      runs: this.score,
+      runs,
       wicket: this.wickets,
       over: this.getCurrentOver()
     })
@@ -133,18 +425,20 @@ export class MatchState {
             stats.howOut = `b ${bowler.name}`
             break
           case 'caught':
-            stats.howOut = fielder ? `c ${fielder} b ${bowler.name}` : `c & b ${bowler.name}`
+            stats.howOut = fielder && fielder !== bowler ? `c ${fielder.name} b ${bowler.name}` : `c & b ${bowler.name}`
             break
           case 'lbw':
             stats.howOut = `lbw b ${bowler.name}`
             break
           case 'stumped':
-            stats.howOut = fielder ? `st ${fielder} b ${bowler.name}` : `stumped`
+            stats.howOut = fielder ? `st ${fielder.name} b ${bowler.name}` : `stumped`
             break
           case 'runOut':
-            stats.howOut = fielder ? `run out (${fielder})` : 'run out'
+          case 'run_out':
+            stats.howOut = fielder ? `run out (${fielder.name})` : 'run out'
             break
           case 'hitWicket':
+          case 'hit_wicket':
             stats.howOut = `hit wicket b ${bowler.name}`
             break
           default:
@@ -155,6 +449,10 @@ export class MatchState {
       }
     }
     
+    if (fielder) {
+      this.recordFielding(fielder, wicketType)
+    }
+    
     // Save partnership
     if (this.currentPartnership.runs > 0) {
       this.partnerships.push({ ...this.currentPartnership })
@@ -163,9 +461,12 @@ export class MatchState {
     // Get next batsman
     const nextBatsman = this.getNextBatsman()
     if (nextBatsman) {
-      if (batsmanOut === this.striker) {
+      const notOut = batsmanOut === this.striker ? this.nonStriker : this.striker
+      if (newBatsmanOnStrike) {
         this.striker = nextBatsman
+        this.nonStriker = notOut
       } else {
+        this.striker = notOut
         this.nonStriker = nextBatsman
       }
       
@@ -176,6 +477,9 @@ export class MatchState {
         batsman1: this.striker,
         batsman2: this.nonStriker
       }
+    } else {
+      // All out - the last partnership is already saved, so it isn't counted twice
+      this.currentPartnership = { runs: 0, balls: 0, batsman1: null, batsman2: null }
     }
   }
 
@@ -189,7 +493,7 @@ export class MatchState {
   }
 
   /**
-   * Update batsman stats
+   * Update batsman stats after a ball faced - the batter gets more settled
    */
   updateBatsmanStats(batsman, runs, isBoundary = false) {
     const stats = this.batsmanStats.get(batsman.id)
@@ -198,6 +502,7 @@ export class MatchState {
       stats.balls += 1
       if (runs === 4) stats.fours += 1
       if (runs === 6) stats.sixes += 1
+      settleBatter(stats, batsman)
     }
     
     // Update partnership
@@ -227,32 +532,139 @@ export class MatchState {
 
   /**
    * Update bowler stats
+   * @param {Player} bowler - Bowler
+   * @param {number} runs - Total runs from the delivery
+   * @param {boolean} isWicket - Bowler took a wicket
+   * @param {boolean} isLegalDelivery - Counts towards the over
+   * @param {string|null} extraType - Kind of extra, if any (byes and leg byes aren't charged to the bowler)
    */
-  updateBowlerStats(bowler, runs, isWicket, isLegalDelivery) {
+  updateBowlerStats(bowler, runs, isWicket, isLegalDelivery, extraType = null) {
     const stats = this.getBowlerStats(bowler)
+    const conceded = getRunsConceded(runs, extraType)
     
-    stats.runs += runs
+    stats.runs += conceded
     if (isWicket) stats.wickets += 1
     
     if (isLegalDelivery) {
       stats.balls += 1
       stats.currentOverBalls += 1
-      stats.currentOverRuns += runs
+      stats.currentOverRuns += conceded
       
       // Check if over is complete
-      if (stats.currentOverBalls === 6) {
+      if (stats.currentOverBalls === this.ballsPerOver) {
         stats.overs += 1
         if (stats.currentOverRuns === 0) stats.maidens += 1
         stats.currentOverRuns = 0
         stats.currentOverBalls = 0
       }
-    } else {
-      // Track extras
-      if (runs === 1) {
-        // Could be wide or no ball
-        stats.wides += 1
-      }
+    } else if (extraType === BALL_OUTCOMES.WIDE) {
+      stats.wides += 1
+    } else if (extraType === BALL_OUTCOMES.NO_BALL) {
+      stats.noBalls += 1
+    }
+  }
+
+  /**
+   * Add the runs from an extra to the innings extras and the partnership
+   * @param {string} extraType - 'wide', 'no_ball', 'bye' or 'leg_bye'
+   * @param {number} runs - Runs credited as extras (a no-ball's runs off the bat are the batter's)
+   */
+  addExtras(extraType, runs) {
+    const key = EXTRA_KEYS[extraType]
+    if (!key) return
+    
+    this.extras[key] += runs
+    this.currentPartnership.runs += runs
+  }
+
+  /**
+   * Get a player's fielding figures for the match
+   * @param {Player} player - Fielder
+   * @returns {Object} { catches, stumpings, runOuts, chancesMissed }
+   */
+  getFieldingStats(player) {
+    if (!this.fieldingStats.has(player.id)) {
+      this.fieldingStats.set(player.id, { catches: 0, stumpings: 0, runOuts: 0, chancesMissed: 0 })
+    }
+    return this.fieldingStats.get(player.id)
+  }
+
+  /**
+   * Credit a fielder with a dismissal
+   * @param {Player} fielder - Catcher, keeper or thrower
+   * @param {string} wicketType - WICKET_TYPES value
+   */
+  recordFielding(fielder, wicketType) {
+    const stats = this.getFieldingStats(fielder)
+    if (wicketType === WICKET_TYPES.CAUGHT) stats.catches++
+    else if (wicketType === WICKET_TYPES.STUMPED) stats.stumpings++
+    else if (wicketType === WICKET_TYPES.RUN_OUT) stats.runOuts++
+  }
+
+  /**
+   * Charge a fielder with a dropped catch or missed stumping
+   * @param {Player} fielder - Fielder who missed the chance
+   */
+  recordMissedChance(fielder) {
+    this.getFieldingStats(fielder).chancesMissed++
+  }
+
+  /**
+   * Get the fielding side's wicket-keeper
+   * @returns {Player|null} Keeper, or null if no specialist keeper is playing
+   */
+  getWicketKeeper() {
+    return this.bowlingTeam.players.find(p => p.role === PLAYER_ROLES.WICKET_KEEPER) || null
+  }
+
+  /**
+   * Append a structured record of a delivery to the delivery log
+   * Must be called after the score has been updated for the ball
+   * @param {Object} outcome - Ball result from the probability engine
+   * @param {Object} context - Striker, non-striker and bowler for the ball, and balls bowled before it
+   * @returns {Object} The delivery record
+   */
+  recordDelivery(outcome, context) {
+    const { striker, nonStriker, bowler, ballsBefore } = context
+    
+    const delivery = {
+      innings: this.getInningsNumber(),
+      over: Math.floor(ballsBefore / this.ballsPerOver),
+      ball: (ballsBefore % this.ballsPerOver) + 1,
+      isLegal: outcome.isLegalDelivery,
+      isFreeHit: Boolean(outcome.isFreeHit),
+      outcome: outcome.outcome,
+      bowlerId: bowler.id,
+      strikerId: striker.id,
+      nonStrikerId: nonStriker ? nonStriker.id : null,
+      runsOffBat: outcome.runsOffBat,
+      extras: {
+        type: outcome.extraType,
+        runs: outcome.extraRuns
+      },
+      wicketType: outcome.isWicket ? outcome.wicketType : null,
+      playerOutId: outcome.isWicket ? (outcome.runOut?.nonStrikerOut ? nonStriker.id : striker.id) : null,
+      fielderId: outcome.isWicket && outcome.fielder ? outcome.fielder.id : null,
+      missedChanceBy: outcome.missedChance ? outcome.missedChance.fielder.id : null,
+      review: outcome.review || null,
+      field: this.fieldSetting,
+      deliveryType: outcome.delivery || null,
+      intent: outcome.intent || null,
+      scoreAfter: { runs: this.score, wickets: this.wickets }
     }
+    
+    this.deliveries.push(delivery)
+    return delivery
+  }
+
+  /**
+   * Get delivery records, optionally for a single innings
+   * @param {number} innings - Innings number (omit for the whole match)
+   * @returns {Array} Delivery records in the order they were bowled
+   */
+  getDeliveries(innings = null) {
+    if (innings === null) return this.deliveries
+    return this.deliveries.filter(d => d.innings === innings)
   }
 
   /**
@@ -264,9 +676,11 @@ export class MatchState {
       runs: this.score,
       wickets: this.wickets,
       overs: this.getCurrentOver(),
+      balls: this.balls,
       extras: this.extras.wides + this.extras.noBalls + this.extras.byes + this.extras.legByes,
       fallOfWickets: [...this.fallOfWickets],
-      commentary: [...this.commentary]
+      commentary: [...this.commentary],
+      deliveries: this.getDeliveries(this.currentInning)
     }
     
     this.currentInning = 2
@@ -284,11 +698,41 @@ export class MatchState {
     this.fallOfWickets = []
     this.partnerships = []
     this.extras = { wides: 0, noBalls: 0, byes: 0, legByes: 0 }
+    this.freeHit = false
+    this.ball = createBall()
     this.batsmanStats.clear()
     this.bowlerStats.clear()
     
     // Update pitch conditions (wear)
-    this.conditions.updatePitchWear(this.totalOvers)
+    this.conditions.updatePitchWear(this.totalOvers, this.format)
+    
+    // Rain in the first innings changes what the chasing side needs
+    this.updateRevisedTarget()
+    if (this.revisedTarget !== null) {
+      this.commentary.push(generateRevisedTarget(this.battingTeam.name, this.revisedTarget, this.describeOvers(this.totalOvers)))
+    }
+  }
+}
+
+/**
+ * Super Over state - one over a side to settle a tied match
+ * Shares the match's conditions and random source; its own deliveries and
+ * commentary are kept apart from the match's
+ */
+export class SuperOverState extends MatchState {
+  constructor(battingFirst, battingSecond, matchState, number) {
+    super(battingFirst, battingSecond, SUPER_OVER.overs, matchState.conditions, matchState.rng, matchState.format)
+    this.isSuperOver = true
+    this.number = number
+  }
+
+  /**
+   * Check if this side's Super Over is complete (over bowled, two wickets or target passed)
+   */
+  isInningsComplete() {
+    if (this.currentInning === 2 && this.score > this.innings.first.runs) return true
+    
+    return this.wickets >= SUPER_OVER.wickets || this.balls >= this.getTotalBalls()
   }
 }
 
@@ -310,24 +754,40 @@ export function simulateBall(matchState, probabilityEngine) {
     matchState
   )
   
+  // Capture who was involved before strike rotation or a new batsman changes them
+  const deliveryContext = {
+    striker: matchState.striker,
+    nonStriker: matchState.nonStriker,
+    bowler: matchState.bowler,
+    ballsBefore: matchState.balls
+  }
+  
   // Store previous runs for milestone check
   const strikerStats = matchState.batsmanStats.get(matchState.striker.id)
   const previousRuns = strikerStats ? strikerStats.runs : 0
   
   // Update match state based on outcome
   if (outcome.isWicket) {
+    // Either batter can be run out; runs completed before the wicket still count
+    const batsmanOut = outcome.runOut?.nonStrikerOut ? matchState.nonStriker : matchState.striker
+    if (outcome.runOut) {
+      matchState.updateBatsmanStats(matchState.striker, outcome.runsOffBat)
+    }
+    
     matchState.wickets++
-    matchState.handleWicket(matchState.striker, matchState.score)
+    matchState.handleWicket(batsmanOut, matchState.score + outcome.runs, outcome.wicketType, matchState.bowler, outcome.fielder, outcome.runOut?.newBatsmanOnStrike)
     
     // Update player confidence after getting out
-    matchState.striker.confidence = Math.max(20, matchState.striker.confidence - 10)
+    batsmanOut.confidence = Math.max(20, batsmanOut.confidence - 10)
     
     // Update bowler confidence after taking wicket
     matchState.bowler.confidence = Math.min(100, matchState.bowler.confidence + 15)
   } else {
-    // Update batsman stats if legal delivery
-    if (outcome.isLegalDelivery) {
-      matchState.updateBatsmanStats(matchState.striker, outcome.runs, outcome.runs >= 4)
+    if (outcome.missedChance) matchState.recordMissedChance(outcome.missedChance.fielder)
+    
+    // The striker faces legal deliveries and no-balls, but not wides
+    if (outcome.isLegalDelivery || outcome.extraType === BALL_OUTCOMES.NO_BALL) {
+      matchState.updateBatsmanStats(matchState.striker, outcome.runsOffBat, outcome.runsOffBat >= 4)
       
       // Check for batting milestone
       if (strikerStats) {
@@ -341,38 +801,44 @@ export function simulateBall(matchState, probabilityEngine) {
         }
       }
       
-      // Rotate strike on odd runs
-      if (outcome.runs % 2 === 1) {
-        matchState.rotateStrike()
-      }
-      
       // Update confidence based on outcome
-      if (outcome.runs >= 4) {
+      if (outcome.runsOffBat >= 4) {
         matchState.striker.confidence = Math.min(100, matchState.striker.confidence + 5)
       }
     }
+    
+    // Rotate strike on odd runs
+    if (getRunsRun(outcome) % 2 === 1) {
+      matchState.rotateStrike()
+    }
   }
   
   // Update bowler stats
-  matchState.updateBowlerStats(matchState.bowler, outcome.runs, outcome.isWicket, outcome.isLegalDelivery)
+  matchState.updateBowlerStats(matchState.bowler, outcome.runs, outcome.isWicket && outcome.wicketType !== WICKET_TYPES.RUN_OUT, outcome.isLegalDelivery, outcome.extraType)
   
   // Track balls and score
   if (outcome.isLegalDelivery) {
     matchState.balls++
+    matchState.wearBall()
   }
   
   matchState.score += outcome.runs
   
   // Track extras
-  if (!outcome.isLegalDelivery) {
-    if (outcome.outcome === 'wide') {
-      matchState.extras.wides++
-    } else if (outcome.outcome === 'no_ball') {
-      matchState.extras.noBalls++
-    }
+  if (outcome.extraType) {
+    matchState.addExtras(outcome.extraType, outcome.extraRuns)
   }
   
   matchState.commentary.push(outcome.commentary)
+  outcome.delivery = matchState.recordDelivery(outcome, deliveryContext)
+  
+  // A no-ball earns a free hit; it stays on through wides until a legal ball is bowled
+  if (outcome.outcome === 'no_ball') {
+    matchState.freeHit = true
+    matchState.commentary.push('FREE HIT next ball!')
+  } else if (outcome.isLegalDelivery) {
+    matchState.freeHit = false
+  }
   
   // Apply fatigue to bowler
   if (outcome.isLegalDelivery && matchState.bowler.fitness > 50) {
@@ -393,10 +859,11 @@ export function simulateBall(matchState, probabilityEngine) {
  */
 export function simulateOver(matchState, probabilityEngine) {
   const overResults = []
-  const overNumber = Math.floor(matchState.balls / 6) + 1
+  const ballsPerOver = matchState.ballsPerOver
+  const overNumber = Math.floor(matchState.balls / ballsPerOver) + 1
   let ballsInOver = 0
   
-  while (ballsInOver < 6 && !matchState.isInningsComplete()) {
+  while (ballsInOver < ballsPerOver && !matchState.isInningsComplete()) {
     const result = simulateBall(matchState, probabilityEngine)
     overResults.push(result)
     
@@ -413,18 +880,253 @@ export function simulateOver(matchState, probabilityEngine) {
   
   // Generate over summary
   if (overResults.length > 0) {
-    const overSummary = generateOverSummary(overResults, matchState.bowler, overNumber)
+    const overSummary = generateOverSummary(overResults, matchState.bowler, overNumber, ballsPerOver === 6 ? 'over' : 'set')
     matchState.commentary.push(overSummary)
   }
   
-  // Rotate strike at end of over
-  if (ballsInOver === 6 && !matchState.isInningsComplete()) {
+  // Rotate strike when the ends change (every over, or every 10 balls in The Hundred)
+  const isEndComplete = matchState.balls % matchState.getBallsPerEnd() === 0
+  if (ballsInOver === ballsPerOver && isEndComplete && !matchState.isInningsComplete()) {
     matchState.rotateStrike()
   }
   
+  // Rain may stop play between overs
+  if (ballsInOver === ballsPerOver && !matchState.isInningsComplete()) {
+    matchState.checkForRain()
+  }
+  
   return overResults
 }
 
+/**
+ * Get runs conceded in the over (set) just completed
+ */
+function getLastOverRuns(matchState) {
+  const lastOver = Math.floor((matchState.balls - 1) / matchState.ballsPerOver)
+  return matchState.getDeliveries(matchState.getInningsNumber())
+    .filter(d => d.over === lastOver)
+    .reduce((runs, d) => runs + getRunsConceded(d.runsOffBat + d.extras.runs, d.extras.type), 0)
+}
+
+/**
+ * Check the attack can bowl the rest of the innings within the per-bowler limit
+ * Plans it out set by set, giving each to whoever has the most balls left;
+ * a bowler only follows themselves from the same end
+ * @param {MatchState} matchState - Current match state
+ * @param {Array} ballsLeft - Balls each bowler in the attack may still bowl
+ * @param {number} lastIndex - Attack index of the bowler of the last set (-1 for none)
+ * @param {number} ballsBowled - Legal balls bowled in the innings so far
+ * @returns {boolean}
+ */
+function canFinishInnings(matchState, ballsLeft, lastIndex, ballsBowled) {
+  const left = [...ballsLeft]
+  let last = lastIndex
+  for (let balls = ballsBowled; balls < matchState.getTotalBalls(); balls += matchState.ballsPerOver) {
+    const setBalls = Math.min(matchState.ballsPerOver, matchState.getTotalBalls() - balls)
+    const isSameEnd = balls % matchState.getBallsPerEnd() !== 0
+    let next = -1
+    left.forEach((n, i) => {
+      if (n >= setBalls && (i !== last || isSameEnd) && (next === -1 || n > left[next])) next = i
+    })
+    if (next === -1) return false
+    left[next] -= setBalls
+    last = next
+  }
+  return true
+}
+
+/**
+ * Pick the bowler for the next over of a limited-overs innings
+ * Works through the attack in order, skipping the bowler who just bowled,
+ * anyone who has used up their overs, and anyone whose over would leave the
+ * rest of the innings impossible to bowl within the limits
+ * In The Hundred the bowler may carry on from the same end for a 10-ball set;
+ * the captain keeps them on unless the first five balls went for plenty
+ * @param {MatchState} matchState - Current match state (bowler = who bowled the last over)
+ * @param {Array} bowlers - Bowling attack in rotation order
+ * @returns {Player} Next bowler
+ */
+export function selectLimitedOversBowler(matchState, bowlers) {
+  const maxBalls = matchState.getMaxBallsPerBowler()
+  const previousBowler = matchState.bowler
+  const lastIndex = previousBowler ? bowlers.findIndex(b => b.id === previousBowler.id) : -1
+  const getBallsLeft = bowler => maxBalls - (matchState.bowlerStats.has(bowler.id) ? matchState.getBowlerStats(bowler).balls : 0)
+  const ballsLeft = bowlers.map(getBallsLeft)
+  const isSameEnd = matchState.balls % matchState.getBallsPerEnd() !== 0
+  const canBowl = i => ballsLeft[i] > 0 && (i !== lastIndex || isSameEnd)
+  const leavesAPlan = i => {
+    const left = [...ballsLeft]
+    left[i] -= matchState.ballsPerOver
+    return canFinishInnings(matchState, left, i, matchState.balls + matchState.ballsPerOver)
+  }
+  
+  // Keep the bowler on from the same end, then work through the rotation
+  const order = []
+  if (lastIndex !== -1 && isSameEnd && getLastOverRuns(matchState) <= 8) order.push(lastIndex)
+  for (let i = 1; i <= bowlers.length; i++) {
+    const index = (lastIndex + i) % bowlers.length
+    if (index !== lastIndex) order.push(index)
+  }
+  
+  const planned = order.find(i => canBowl(i) && leavesAPlan(i))
+  if (planned !== undefined) return bowlers[planned]
+  
+  // No plan fits - whoever has the most balls left
+  const available = order.filter(canBowl).sort((a, b) => ballsLeft[b] - ballsLeft[a])
+  if (available.length > 0) return bowlers[available[0]]
+  
+  // The attack has bowled out - a part-timer finishes the innings
+  return matchState.bowlingTeam.players.find(p => p !== previousBowler && getBallsLeft(p) > 0) || previousBowler
+}
+
+/**
+ * Bowl one delivery, then change ends and bowler if it completed the over
+ * @param {MatchState} matchState - Current match state
+ * @param {ProbabilityEngine} probabilityEngine - Probability calculation engine
+ * @param {Array} bowlers - Bowling attack in rotation order
+ * @returns {Object} Ball result
+ */
+export function advanceBall(matchState, probabilityEngine, bowlers) {
+  const result = simulateBall(matchState, probabilityEngine)
+  
+  const isOverComplete = result.isLegalDelivery && matchState.balls % matchState.ballsPerOver === 0
+  if (isOverComplete && !matchState.isInningsComplete()) {
+    // Batters only swap ends when the bowling end changes
+    if (matchState.balls % matchState.getBallsPerEnd() === 0) {
+      matchState.rotateStrike()
+    }
+    
+    // Rain may stop play between overs, and may end the innings
+    matchState.checkForRain()
+    if (!matchState.isInningsComplete()) {
+      matchState.bowler = selectLimitedOversBowler(matchState, bowlers)
+    }
+  }
+  
+  return result
+}
+
+/**
+ * Get the players a side may not use in the next Super Over
+ * Batters dismissed in the previous Super Over, and the bowler who bowled it, sit out
+ * @param {MatchState} matchState - Match state
+ * @param {Object} team - Side picking its players
+ * @returns {Object} { batters, bowlers } - Sets of excluded player ids
+ */
+function getSuperOverExclusions(matchState, team) {
+  const excluded = { batters: new Set(), bowlers: new Set() }
+  const previous = matchState.superOvers[matchState.superOvers.length - 1]
+  if (!previous) return excluded
+  
+  for (const innings of [previous.first, previous.second]) {
+    if (innings.team === team) {
+      innings.dismissed.forEach(p => excluded.batters.add(p.id))
+    } else {
+      excluded.bowlers.add(innings.bowler.id)
+    }
+  }
+  return excluded
+}
+
+/**
+ * Pick a side's three Super Over batters: its biggest hitters, best first
+ * @param {Object} team - Batting side
+ * @param {Set} excludedIds - Ids of players who may not bat
+ * @returns {Array} Batters in batting order
+ */
+export function selectSuperOverBatters(team, excludedIds = new Set()) {
+  const hittingRating = p => p.getBattingRating() + p.batting.power * 0.5 + p.form * 0.2
+  
+  return team.players
+    .filter(p => !excludedIds.has(p.id))
+    .sort((a, b) => hittingRating(b) - hittingRating(a))
+    .slice(0, SUPER_OVER.batters)
+}
+
+/**
+ * Pick a side's Super Over bowler: its most reliable death bowler
+ * @param {Object} team - Bowling side
+ * @param {Set} excludedIds - Ids of players who may not bowl
+ * @returns {Player} Bowler
+ */
+export function selectSuperOverBowler(team, excludedIds = new Set()) {
+  const available = team.players.filter(p => !excludedIds.has(p.id))
+  const bowlers = available.filter(p => 
+    p.role === PLAYER_ROLES.BOWLER || p.role === PLAYER_ROLES.ALL_ROUNDER
+  )
+  const deathRating = p => p.getBowlingRating() + p.bowling.accuracy * 0.5 + p.bowling.variation * 0.3
+  
+  return (bowlers.length > 0 ? bowlers : available)
+    .reduce((best, p) => (deathRating(p) > deathRating(best) ? p : best))
+}
+
+/**
+ * Play one side's Super Over
+ * @param {SuperOverState} superOver - Super Over in progress
+ * @param {ProbabilityEngine} probabilityEngine - Probability calculation engine
+ * @param {MatchState} matchState - Tied match (for Super Overs already played)
+ * @returns {Object} { team, runs, wickets, balls, batters, bowler, dismissed }
+ */
+function playSuperOverInnings(superOver, probabilityEngine, matchState) {
+  const batters = selectSuperOverBatters(
+    superOver.battingTeam,
+    getSuperOverExclusions(matchState, superOver.battingTeam).batters
+  )
+  superOver.initializeBatsmen(batters)
+  superOver.bowler = selectSuperOverBowler(
+    superOver.bowlingTeam,
+    getSuperOverExclusions(matchState, superOver.bowlingTeam).bowlers
+  )
+  
+  simulateOver(superOver, probabilityEngine)
+  
+  return {
+    team: superOver.battingTeam,
+    runs: superOver.score,
+    wickets: superOver.wickets,
+    balls: superOver.balls,
+    batters,
+    bowler: superOver.bowler,
+    dismissed: batters.filter(p => superOver.batsmanStats.get(p.id)?.isOut)
+  }
+}
+
+/**
+ * Play a Super Over to settle a tied match
+ * The side that batted second (in the match, or in the last Super Over) bats first
+ * @param {MatchState} matchState - Tied match after its second innings
+ * @param {ProbabilityEngine} probabilityEngine - Probability calculation engine
+ * @returns {Object} Super Over { number, first, second, winner, deliveries }
+ */
+export function playSuperOver(matchState, probabilityEngine) {
+  const previous = matchState.superOvers[matchState.superOvers.length - 1]
+  const battingFirst = previous ? previous.second.team : matchState.battingTeam
+  const battingSecond = battingFirst === matchState.team1 ? matchState.team2 : matchState.team1
+  const superOver = new SuperOverState(battingFirst, battingSecond, matchState, matchState.superOvers.length + 1)
+  
+  const first = playSuperOverInnings(superOver, probabilityEngine, matchState)
+  superOver.switchInnings()
+  const second = playSuperOverInnings(superOver, probabilityEngine, matchState)
+  
+  let winner = null
+  if (second.runs > first.runs) {
+    winner = second.team
+  } else if (first.runs > second.runs) {
+    winner = first.team
+  }
+  
+  const result = { number: superOver.number, first, second, winner, deliveries: superOver.getDeliveries() }
+  matchState.superOvers.push(result)
+  
+  matchState.commentary.push(
+    ...superOver.innings.first.commentary,
+    ...superOver.commentary,
+    generateSuperOverSummary(result)
+  )
+  
+  return result
+}
+
 /**
  * Simulate an entire innings
  * @param {MatchState} matchState
@@ -433,35 +1135,30 @@ export function simulateOver(matchState, probabilityEngine) {
  * @returns {Object} Innings summary
  */
 export function simulateInnings(matchState, probabilityEngine, bowlers) {
-  let currentBowlerIndex = 0
-  let oversBowledByCurrentBowler = 0
-  const maxOversPerBowler = Math.floor(matchState.totalOvers / 5) // In T20, max 4 overs per bowler
-  
   // Set initial bowler
-  matchState.bowler = bowlers[currentBowlerIndex]
+  matchState.bowler = bowlers[0]
   
   while (!matchState.isInningsComplete()) {
     simulateOver(matchState, probabilityEngine)
-    oversBowledByCurrentBowler++
     
     // Rotate bowler (can't bowl consecutive overs, max overs per bowler)
-    if (oversBowledByCurrentBowler >= maxOversPerBowler || !matchState.isInningsComplete()) {
-      currentBowlerIndex = (currentBowlerIndex + 1) % bowlers.length
-      matchState.bowler = bowlers[currentBowlerIndex]
-      oversBowledByCurrentBowler = 0
+    if (!matchState.isInningsComplete()) {
+      matchState.bowler = selectLimitedOversBowler(matchState, bowlers)
     }
     
     // Update conditions as match progresses
     if (matchState.currentInning === 2) {
-      const oversPlayed = Math.floor(matchState.balls / 6)
+      const oversPlayed = Math.floor(matchState.balls / matchState.ballsPerOver)
       matchState.conditions.updateDewFactor(oversPlayed)
     }
   }
   
   // Generate innings summary commentary
+  const countInBalls = matchState.getFormatRules() && matchState.getFormatRules().countInBalls
   const inningsSummary = generateInningsSummary(
-    { runs: matchState.score, wickets: matchState.wickets, overs: matchState.getCurrentOver() },
-    matchState.battingTeam.name
+    { runs: matchState.score, wickets: matchState.wickets, overs: countInBalls ? matchState.balls : matchState.getCurrentOver() },
+    matchState.battingTeam.name,
+    countInBalls ? 'balls' : 'overs'
   )
   matchState.commentary.push(inningsSummary)
   
@@ -469,12 +1166,14 @@ export function simulateInnings(matchState, probabilityEngine, bowlers) {
     runs: matchState.score,
     wickets: matchState.wickets,
     overs: matchState.getCurrentOver(),
+    balls: matchState.balls,
     extras: matchState.extras,
     fallOfWickets: matchState.fallOfWickets,
     partnerships: matchState.partnerships,
     batsmanStats: Array.from(matchState.batsmanStats.entries()).map(([id, stats]) => ({ id, ...stats })),
     bowlerStats: Array.from(matchState.bowlerStats.entries()).map(([id, stats]) => ({ id, ...stats })),
-    commentary: matchState.commentary
+    commentary: matchState.commentary,
+    deliveries: matchState.getDeliveries(matchState.currentInning)
   }
 }
 
@@ -482,13 +1181,15 @@ export function simulateInnings(matchState, probabilityEngine, bowlers) {
  * Simulate entire match
  * @param {Object} team1 - Team 1 with players array
  * @param {Object} team2 - Team 2 with players array
- * @param {Object} options - Match options (overs, conditions, etc.)
+ * @param {Object} options - Match options (format, overs, conditions, seed, rng, etc.)
  * @returns {Object} Complete match result
  */
 export function simulateMatch(team1, team2, options = {}) {
-  const overs = options.overs || 20
-  const conditions = options.conditions || MatchConditions.generateRandom('T20')
-  const matchState = new MatchState(team1, team2, overs, conditions)
+  const format = options.format || MATCH_FORMATS.T20.id
+  const overs = options.overs || getMatchFormat(format).overs
+  const rng = options.rng || createRandom(options.seed)
+  const conditions = options.conditions || MatchConditions.generateRandom(format, rng)
+  const matchState = new MatchState(team1, team2, overs, conditions, rng, format)
   
   // Create probability engine with match conditions
   const probabilityEngine = new ProbabilityEngine(conditions)
@@ -518,6 +1219,11 @@ export function simulateMatch(team1, team2, options = {}) {
   // Simulate second innings
   const secondInnings = simulateInnings(matchState, probabilityEngine, team1Bowlers)
   
+  // A tie goes to Super Overs until one side wins
+  while (needsSuperOver(matchState)) {
+    playSuperOver(matchState, probabilityEngine)
+  }
+  
   // Determine result
   const result = getMatchWinner(matchState)
   
@@ -527,6 +1233,7 @@ export function simulateMatch(team1, team2, options = {}) {
   return {
     team1: team1.name,
     team2: team2.name,
+    seed: matchState.seed,
     conditions: conditions.getDescription(),
     innings: {
       first: firstInnings,
@@ -542,13 +1249,15 @@ export function simulateMatch(team1, team2, options = {}) {
  * Start a new match and return initial state
  * @param {Object} team1
  * @param {Object} team2
- * @param {Object} options
+ * @param {Object} options - Match options (format, overs, conditions, seed, rng)
  * @returns {MatchState} Initial match state
  */
 export function startMatch(team1, team2, options = {}) {
-  const overs = options.overs || 20
-  const conditions = options.conditions || MatchConditions.generateRandom('T20')
-  const matchState = new MatchState(team1, team2, overs, conditions)
+  const format = options.format || MATCH_FORMATS.T20.id
+  const overs = options.overs || getMatchFormat(format).overs
+  const rng = options.rng || createRandom(options.seed)
+  const conditions = options.conditions || MatchConditions.generateRandom(format, rng)
+  const matchState = new MatchState(team1, team2, overs, conditions, rng, format)
   
   // Initialize batsmen
   matchState.initializeBatsmen(team1.players)
@@ -565,6 +1274,7 @@ export function getMatchSummary(matchState) {
   return {
     team1: matchState.team1.name,
     team2: matchState.team2.name,
+    seed: matchState.seed,
     currentInning: matchState.currentInning,
     score: formatScore(matchState.score, matchState.wickets, matchState.balls),
     innings: matchState.innings,
@@ -578,10 +1288,17 @@ export default {
   simulateBall,
   simulateOver,
   simulateInnings,
+  selectLimitedOversBowler,
+  advanceBall,
+  playSuperOver,
+  selectSuperOverBatters,
+  selectSuperOverBowler,
   simulateMatch,
   startMatch,
   getMatchSummary,
   MatchState,
+  SuperOverState,
   BALL_OUTCOMES,
-  WICKET_TYPES
+  WICKET_TYPES,
+  MATCH_FORMATS
 }
@@ -5,6 +5,30 @@
  * These utilities are used throughout the match simulation engine.
  */
 
+import { SUPER_OVER, BALL_OUTCOMES, BOWLER_EXTRAS } from './matchConstants.js';
+
+/**
+ * Get the runs a delivery costs the bowler (byes and leg byes don't count)
+ * @param {number} runs - Total runs from the delivery
+ * @param {string|null} extraType - 'wide', 'no_ball', 'bye', 'leg_bye' or null
+ * @returns {number} Runs conceded
+ */
+export function getRunsConceded(runs, extraType = null) {
+  if (extraType && !BOWLER_EXTRAS.includes(extraType)) return 0;
+  return runs;
+}
+
+/**
+ * Get the runs the batters ran or hit off a delivery - an odd number swaps the strike
+ * The one-run penalty for a wide or no-ball isn't run
+ * @param {Object} outcome - Ball result with runs and extraType
+ * @returns {number} Runs run
+ */
+export function getRunsRun(outcome) {
+  const isPenalty = outcome.extraType === BALL_OUTCOMES.WIDE || outcome.extraType === BALL_OUTCOMES.NO_BALL;
+  return isPenalty ? outcome.runs - 1 : outcome.runs;
+}
+
 /**
  * Format score in standard cricket notation
  * @param {number} runs - Total runs
@@ -20,24 +44,26 @@ export function formatScore(runs, wickets, balls) {
 /**
  * Convert balls to overs notation
  * @param {number} balls - Number of balls
+ * @param {number} ballsPerOver - Legal balls in an over (5 for a Hundred set)
  * @returns {string} Overs in format "X.Y"
  */
-export function ballsToOvers(balls) {
-  const completedOvers = Math.floor(balls / 6);
-  const ballsInOver = balls % 6;
+export function ballsToOvers(balls, ballsPerOver = 6) {
+  const completedOvers = Math.floor(balls / ballsPerOver);
+  const ballsInOver = balls % ballsPerOver;
   return `${completedOvers}.${ballsInOver}`;
 }
 
 /**
  * Convert overs notation to balls
  * @param {string} overs - Overs in format "X.Y"
+ * @param {number} ballsPerOver - Legal balls in an over (5 for a Hundred set)
  * @returns {number} Total balls
  */
-export function oversToBalls(overs) {
+export function oversToBalls(overs, ballsPerOver = 6) {
   const parts = overs.toString().split('.');
   const completeOvers = parseInt(parts[0], 10);
   const balls = parts[1] ? parseInt(parts[1], 10) : 0;
-  return completeOvers * 6 + balls;
+  return completeOvers * ballsPerOver + balls;
 }
 
 /**
@@ -74,12 +100,12 @@ export function isMatchComplete(matchState) {
     return false;
   }
   
-  // Second innings checks
-  const target = matchState.innings.first.runs + 1;
+  // Second innings checks (DLS may have revised the target after rain)
+  const target = matchState.getTarget();
   const currentScore = matchState.score;
   const wickets = matchState.wickets;
   const balls = matchState.balls;
-  const totalBalls = matchState.totalOvers * 6;
+  const totalBalls = matchState.getTotalBalls();
   
   // Chasing team won
   if (currentScore >= target) {
@@ -105,31 +131,63 @@ export function isMatchComplete(matchState) {
  * @returns {Object} Winner and margin
  */
 export function getMatchWinner(matchState) {
-  const team1Score = matchState.innings.first.runs;
+  // After rain the chasing side is measured against its revised target
+  const team1Score = matchState.revisedTarget ? matchState.revisedTarget - 1 : matchState.innings.first.runs;
   const team2Score = matchState.score;
   const team2Wickets = matchState.wickets;
+  const method = matchState.revisedTarget ? ' (DLS method)' : '';
   
   if (team2Score > team1Score) {
     const wicketsRemaining = 10 - team2Wickets;
     return {
       winner: matchState.battingTeam.name,
-      margin: `by ${wicketsRemaining} wicket${wicketsRemaining !== 1 ? 's' : ''}`,
+      margin: `by ${wicketsRemaining} wicket${wicketsRemaining !== 1 ? 's' : ''}${method}`,
       team: matchState.battingTeam
     };
   } else if (team1Score > team2Score) {
     const runsDifference = team1Score - team2Score;
     return {
       winner: matchState.bowlingTeam.name,
-      margin: `by ${runsDifference} run${runsDifference !== 1 ? 's' : ''}`,
+      margin: `by ${runsDifference} run${runsDifference !== 1 ? 's' : ''}${method}`,
       team: matchState.bowlingTeam
     };
-  } else {
+  }
+  
+  // Tied matches are settled by the last Super Over played
+  const superOvers = matchState.superOvers || [];
+  const decider = superOvers[superOvers.length - 1];
+  if (decider && decider.winner) {
     return {
-      winner: null,
-      margin: 'Match tied',
-      team: null
+      winner: decider.winner.name,
+      margin: superOvers.length === 1 ? 'in the Super Over' : `after ${superOvers.length} Super Overs`,
+      team: decider.winner,
+      superOvers: superOvers.length
     };
   }
+  
+  return {
+    winner: null,
+    margin: 'Match tied',
+    team: null,
+    superOvers: superOvers.length
+  };
+}
+
+/**
+ * Check if a finished limited-overs match needs another Super Over
+ * @param {Object} matchState - Match state after the second innings
+ * @returns {boolean} True if the scores are level and no Super Over has settled it
+ */
+export function needsSuperOver(matchState) {
+  if (!isMatchComplete(matchState)) return false;
+  const tieScore = matchState.revisedTarget ? matchState.revisedTarget - 1 : matchState.innings.first.runs;
+  if (tieScore !== matchState.score) return false;
+  
+  const superOvers = matchState.superOvers || [];
+  const last = superOvers[superOvers.length - 1];
+  if (last && last.winner) return false;
+  
+  return superOvers.length < SUPER_OVER.maxSuperOvers;
 }
 
 /**
@@ -200,9 +258,10 @@ export function getMatchStatus(matchState) {
   if (matchState.currentInning === 1) {
     return `${matchState.battingTeam.name} batting: ${formatScore(matchState.score, matchState.wickets, matchState.balls)}`;
   } else {
-    const target = matchState.innings.first.runs + 1;
+    // Rain may have revised the target and shortened the chase
+    const target = matchState.getTarget();
     const required = target - matchState.score;
-    const ballsLeft = (matchState.totalOvers * 6) - matchState.balls;
+    const ballsLeft = matchState.getTotalBalls() - matchState.balls;
     
     if (required <= 0) {
       return `${matchState.battingTeam.name} won!`;
@@ -248,9 +307,9 @@ export function calculateWinProbability(matchState) {
     return 50; // Equal before second innings
   }
   
-  const target = matchState.innings.first.runs + 1;
+  const target = matchState.getTarget();
   const current = matchState.score;
-  const ballsRemaining = (matchState.totalOvers * 6) - matchState.balls;
+  const ballsRemaining = matchState.getTotalBalls() - matchState.balls;
   const wicketsRemaining = 10 - matchState.wickets;
   
   // Already won
@@ -336,9 +395,16 @@ export function formatOversRemaining(ballsRemaining) {
  * Get phase of innings
  * @param {number} currentOver - Current over number
  * @param {number} totalOvers - Total overs in innings
+ * @param {Object} format - Optional MATCH_FORMATS entry with fixed phase boundaries
  * @returns {string} Phase name
  */
-export function getInningsPhase(currentOver, totalOvers) {
+export function getInningsPhase(currentOver, totalOvers, format = null) {
+  if (format) {
+    if (currentOver < format.battingPhases.powerplayEnd) return 'powerplay';
+    if (currentOver < format.battingPhases.middleOversEnd) return 'middle_overs';
+    return 'death_overs';
+  }
+  
   const percentage = (currentOver / totalOvers) * 100;
   
   if (percentage < 30) {
@@ -350,7 +416,29 @@ export function getInningsPhase(currentOver, totalOvers) {
   }
 }
 
+/**
+ * Get the fielding restrictions in force for an over
+ * @param {number} currentOver - Current over number (0-based)
+ * @param {Object} format - MATCH_FORMATS entry
+ * @returns {Object|null} Fielding phase { number, name, startOver, endOver, fieldersOutside }
+ */
+export function getFieldingPhase(currentOver, format) {
+  if (!format) return null;
+  
+  let startOver = 0;
+  for (let i = 0; i < format.fieldingPhases.length; i++) {
+    const phase = format.fieldingPhases[i];
+    if (currentOver < phase.endOver || i === format.fieldingPhases.length - 1) {
+      return { ...phase, number: i + 1, startOver };
+    }
+    startOver = phase.endOver;
+  }
+  return null;
+}
+
 export default {
+  getRunsConceded,
+  getRunsRun,
   formatScore,
   ballsToOvers,
   oversToBalls,
@@ -358,6 +446,7 @@ export default {
   calculateRequiredRate,
   isMatchComplete,
   getMatchWinner,
+  needsSuperOver,
   calculateProjectedScore,
   calculateStrikeRate,
   calculateEconomy,
@@ -368,5 +457,6 @@ export default {
   calculateWinProbability,
   checkMilestone,
   formatOversRemaining,
-  getInningsPhase
+  getInningsPhase,
+  getFieldingPhase
 };
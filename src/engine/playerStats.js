@@ -5,8 +5,8 @@
  * and career progression.
  * 
  * Player attributes affect probability calculations in the match engine:
- * - Batting: timing, power, technique, temperament
- * - Bowling: pace/spin, accuracy, variation, stamina
+ * - Batting: timing, power, technique, temperament, batting hand
+ * - Bowling: pace/spin, accuracy, variation, stamina, bowling arm
  * - Fielding: catching, throwing, agility
  * - Mental: concentration, pressure handling, adaptability
  * 
@@ -50,6 +50,14 @@ export const BATTING_STYLES = {
   ANCHOR: 'anchor'
 }
 
+/**
+ * Batting hand and bowling arm
+ */
+export const HANDEDNESS = {
+  RIGHT: 'right',
+  LEFT: 'left'
+}
+
 /**
  * Player class representing a cricket player with all attributes
  */
@@ -66,7 +74,8 @@ export class Player {
       power: config.batting?.power || 50,
       technique: config.batting?.technique || 50,
       temperament: config.batting?.temperament || 50,
-      style: config.batting?.style || BATTING_STYLES.BALANCED
+      style: config.batting?.style || BATTING_STYLES.BALANCED,
+      hand: config.batting?.hand || HANDEDNESS.RIGHT
     }
     
     // Bowling attributes
@@ -75,7 +84,9 @@ export class Player {
       accuracy: config.bowling?.accuracy || 50,
       variation: config.bowling?.variation || 50,
       stamina: config.bowling?.stamina || 50,
-      style: config.bowling?.style || BOWLING_STYLES.MEDIUM
+      style: config.bowling?.style || BOWLING_STYLES.MEDIUM,
+      // Left-arm spinners bowl with the left arm whatever the data says
+      arm: config.bowling?.style === BOWLING_STYLES.SPIN_LEFT_ARM ? HANDEDNESS.LEFT : config.bowling?.arm || HANDEDNESS.RIGHT
     }
     
     // Fielding attributes
@@ -232,13 +243,15 @@ export function generateRandomPlayer(role, name) {
       timing: randomStat(),
       power: randomStat(),
       technique: randomStat(),
-      temperament: randomStat()
+      temperament: randomStat(),
+      hand: Math.random() < 0.25 ? HANDEDNESS.LEFT : HANDEDNESS.RIGHT
     },
     bowling: {
       pace: randomStat(),
       accuracy: randomStat(),
       variation: randomStat(),
-      stamina: randomStat()
+      stamina: randomStat(),
+      arm: Math.random() < 0.15 ? HANDEDNESS.LEFT : HANDEDNESS.RIGHT
     },
     fielding: {
       catching: randomStat(),
@@ -258,5 +271,6 @@ export default {
   generateRandomPlayer,
   PLAYER_ROLES,
   BOWLING_STYLES,
-  BATTING_STYLES
+  BATTING_STYLES,
+  HANDEDNESS
 }
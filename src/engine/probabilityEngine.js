@@ -18,8 +18,17 @@
  * 4. Generate outcome using weighted random selection
  */
 
-import { BALL_OUTCOMES, WICKET_TYPES } from './matchConstants.js';
-import { generateCommentary } from './commentaryGenerator.js';
+import { BALL_OUTCOMES, WICKET_TYPES, EXTRA_RUNS, RUN_OUT_RUNS, getMatchFormat } from './matchConstants.js';
+import { getInningsPhase, getFieldingPhase } from './matchUtils.js';
+import { generateCommentary, generateExtraRuns, generateFreeHitSurvival } from './commentaryGenerator.js';
+import { selectFielder, isChanceTaken, getFieldingPressure, resolveRunOut } from './fielding.js';
+import { createRandom } from './random.js';
+import { getFieldSetting } from './fieldSettings.js';
+import { getDeliveryModifiers, getDeliveryWicketTypes, describeDelivery } from './bowlingPlans.js';
+import { getIntentModifiers } from './battingIntents.js';
+import { getBallModifiers } from './ballCondition.js';
+import { getSettlednessModifiers } from './settledness.js';
+import { getHandednessModifiers, getHandednessWicketTypes } from './handedness.js';
 
 /**
  * Base probability distributions (percentages from historical T20 data)
@@ -33,9 +42,84 @@ const BASE_PROBABILITIES = {
   six: 5,
   wicket: 3,
   wide: 1.5,
-  no_ball: 0.5
+  no_ball: 0.5,
+  bye: 0.5,
+  leg_bye: 1.2
 }
 
+/**
+ * Base probability distributions for 50-over cricket
+ * Fewer boundaries than T20 - innings are built over 300 balls, and a typical
+ * first innings (with the phase modifiers below) is 260-300 for 7-8 wickets
+ */
+const ODI_BASE_PROBABILITIES = {
+  dot: 46,
+  single: 30,
+  two: 7,
+  three: 1.5,
+  four: 8,
+  six: 1.6,
+  wicket: 3,
+  wide: 2,
+  no_ball: 0.5,
+  bye: 0.5,
+  leg_bye: 1.2
+}
+
+const BASE_PROBABILITIES_BY_FORMAT = {
+  T20: BASE_PROBABILITIES,
+  ODI: ODI_BASE_PROBABILITIES,
+  HUNDRED: BASE_PROBABILITIES
+}
+
+/**
+ * Batting approach in each phase of the innings, by format (The Hundred plays like T20)
+ * ODI batters consolidate through the middle overs and save the big hitting for the death
+ */
+const BATTING_PHASE_MODIFIERS = {
+  T20: {
+    powerplay: {},
+    middle_overs: {},
+    death_overs: { dot: 0.7, single: 1.1, four: 1.2, six: 1.3, wicket: 1.3 }
+  },
+  ODI: {
+    powerplay: { six: 0.8 },
+    middle_overs: { single: 1.1, four: 0.85, six: 0.8 },
+    death_overs: { dot: 0.8, single: 1.05, four: 1.15, six: 1.3, wicket: 1.4 }
+  }
+}
+
+/**
+ * How far the stacked modifiers (skill, form, conditions, phase, intent, field...) may move
+ * each outcome from its base rate, as [lowest, highest] multipliers, by format
+ * Over 300 balls a small edge per ball compounds, so ODIs keep a flat pitch or a green one
+ * from turning every innings into a record total or a collapse
+ */
+const STACKED_MODIFIER_LIMITS = {
+  ODI: {
+    dot: [0.85, 1.2],
+    single: [0.85, 1.2],
+    four: [0.75, 1.3],
+    six: [0.6, 1.6],
+    wicket: [0.75, 1.35]
+  }
+}
+
+/**
+ * Effect of fielding restrictions, by the number of fielders allowed outside the circle
+ * Two out means gaps in the outfield; five out means boundaries are well protected
+ */
+const FIELDING_RESTRICTION_MODIFIERS = {
+  2: { dot: 0.9, four: 1.2, six: 1.1 },
+  4: { dot: 0.95, four: 1.05 },
+  5: {}
+}
+
+/**
+ * Effect of a free hit - the batter can only be run out, so swings hard
+ */
+const FREE_HIT_MODIFIERS = { dot: 0.6, single: 0.8, four: 1.5, six: 2.5 }
+
 /**
  * Wicket type probabilities
  */
@@ -69,9 +153,13 @@ export class ProbabilityEngine {
     const bowlerRating = bowler.getBowlingRating()
     const skillDiff = batsmanRating - bowlerRating
     
+    // The fielding captain sets the field at the start of the over, and the bowler bowls to the plan
+    matchState.setFieldForOver()
+    matchState.bowlDelivery()
+    
     // Get adjusted probabilities
     const probabilities = this.adjustProbabilities(
-      BASE_PROBABILITIES,
+      BASE_PROBABILITIES_BY_FORMAT[matchState.format] || BASE_PROBABILITIES,
       skillDiff,
       batsman,
       bowler,
@@ -79,7 +167,7 @@ export class ProbabilityEngine {
     )
     
     // Select outcome based on probabilities
-    const outcome = this.weightedRandomSelection(probabilities)
+    const outcome = this.weightedRandomSelection(probabilities, matchState.rng)
     
     // Generate detailed result
     return this.generateBallResult(outcome, batsman, bowler, matchState)
@@ -116,6 +204,13 @@ export class ProbabilityEngine {
       adjusted.wicket *= 0.8
     }
     
+    // Batting intent on top of the style - more reward for more risk
+    this.applyModifiers(adjusted, getIntentModifiers(matchState.getIntentForBatter(batsman), batsman))
+    
+    // New batters are vulnerable, set ones hard to dislodge
+    const batsmanStats = matchState.batsmanStats.get(batsman.id)
+    this.applyModifiers(adjusted, getSettlednessModifiers(batsmanStats ? batsmanStats.settled : 0))
+    
     // Form adjustment
     const formFactor = (batsman.form - 50) / 100
     adjusted.dot *= (1 - formFactor * 0.2)
@@ -150,23 +245,37 @@ export class ProbabilityEngine {
       adjusted.six *= (2 - bowlingEff)
     }
     
-    // Pressure situation (death overs)
-    const currentOver = Math.floor(matchState.balls / 6)
-    if (currentOver >= 15) {
-      adjusted.dot *= 0.7
-      adjusted.single *= 1.1
-      adjusted.four *= 1.2
-      adjusted.six *= 1.3
-      adjusted.wicket *= 1.3
-    }
+    // The ball: swing while it's shiny, reverse swing and grip for spin once it's rough
+    const weatherMods = this.matchConditions ? this.matchConditions.getWeatherModifiers(matchState.ball) : null
+    this.applyModifiers(adjusted, getBallModifiers(matchState.ball, bowler, weatherMods))
+    
+    // Phase of the innings (powerplay, middle overs, death) and fielding restrictions
+    const format = getMatchFormat(matchState.format) || getMatchFormat('T20')
+    // A Super Over is played as a final over: death-overs batting, boundary fielders back
+    const currentOver = matchState.isSuperOver ? format.overs - 1 : Math.floor(matchState.balls / format.ballsPerOver)
+    const battingPhase = getInningsPhase(currentOver, matchState.totalOvers, format)
+    const fieldingPhase = getFieldingPhase(currentOver, format)
     
-    // Powerplay adjustments (first 6 overs)
-    if (currentOver < 6) {
-      adjusted.four *= 1.2
-      adjusted.six *= 1.1
-      adjusted.dot *= 0.9
+    this.applyModifiers(adjusted, (BATTING_PHASE_MODIFIERS[format.id] || BATTING_PHASE_MODIFIERS.T20)[battingPhase])
+    this.applyModifiers(adjusted, FIELDING_RESTRICTION_MODIFIERS[fieldingPhase.fieldersOutside])
+    
+    if (matchState.freeHit) {
+      this.applyModifiers(adjusted, FREE_HIT_MODIFIERS)
     }
     
+    // Field setting - catchers in or boundary riders out
+    this.applyModifiers(adjusted, getFieldSetting(matchState.fieldSetting).outcomes)
+    
+    // Line, length and variation against the batter's strengths
+    this.applyModifiers(adjusted, getDeliveryModifiers(matchState.delivery, batsman, bowler))
+    
+    // Left and right: the bowler's angle and which way the spin turns
+    this.applyModifiers(adjusted, getHandednessModifiers(batsman, bowler))
+    
+    // Byes get past a poor wicket-keeper (or a stand-in with no keeper picked)
+    const keeper = matchState.getWicketKeeper()
+    adjusted.bye *= keeper ? (100 - keeper.getFieldingRating()) / 50 : 2
+    
     // Fatigue effects (bowler stamina)
     if (bowler.fitness < 70) {
       const fatigueFactor = (100 - bowler.fitness) / 100
@@ -175,10 +284,35 @@ export class ProbabilityEngine {
       adjusted.wicket *= (1 - fatigueFactor * 0.2)
     }
     
+    // Keep the stacked modifiers within the format's limits
+    this.limitModifiers(adjusted, baseProbabilities, STACKED_MODIFIER_LIMITS[matchState.format])
+    
     // Normalize to ensure total is 100
     return this.normalizeProbabilities(adjusted)
   }
 
+  /**
+   * Clamp outcome probabilities to a range around their base rates
+   * @param {Object} probabilities - Adjusted probabilities (changed in place)
+   * @param {Object} baseProbabilities - Base rates before any modifiers
+   * @param {Object} limits - [lowest, highest] multiplier by outcome (missing outcomes are unlimited)
+   */
+  limitModifiers(probabilities, baseProbabilities, limits = {}) {
+    for (const [outcome, [lowest, highest]] of Object.entries(limits)) {
+      const base = baseProbabilities[outcome]
+      probabilities[outcome] = Math.min(base * highest, Math.max(base * lowest, probabilities[outcome]))
+    }
+  }
+
+  /**
+   * Multiply outcome probabilities by a set of modifiers (missing outcomes are unchanged)
+   */
+  applyModifiers(probabilities, modifiers = {}) {
+    for (const [outcome, modifier] of Object.entries(modifiers)) {
+      probabilities[outcome] *= modifier
+    }
+  }
+
   /**
    * Normalize probabilities to sum to 100
    */
@@ -195,9 +329,11 @@ export class ProbabilityEngine {
 
   /**
    * Weighted random selection based on probabilities
+   * @param {Object} probabilities - Outcome weights summing to 100
+   * @param {SeededRandom} rng - Random number source (the match's own rng)
    */
-  weightedRandomSelection(probabilities) {
-    const random = Math.random() * 100
+  weightedRandomSelection(probabilities, rng = createRandom()) {
+    const random = rng.random() * 100
     let cumulative = 0
     
     for (const [outcome, probability] of Object.entries(probabilities)) {
@@ -220,65 +356,146 @@ export class ProbabilityEngine {
       runs: 0,
       isWicket: false,
       isLegalDelivery: true,
+      runsOffBat: 0,
+      extraType: null,
+      extraRuns: 0,
+      isFreeHit: Boolean(matchState.freeHit),
       wicketType: null,
+      fielder: null,
+      missedChance: null,
+      runOut: null,
+      delivery: matchState.delivery || null,
+      intent: matchState.getIntentForBatter(batsman),
       commentary: ''
     }
     
     const players = {
       batsman: batsman.name,
       bowler: bowler.name,
-      fielder: 'the fielder'
+      fielder: 'the fielder',
+      keeper: matchState.getWicketKeeper() ? matchState.getWicketKeeper().name : 'the keeper'
+    };
+    const rng = matchState.rng
+    
+    // The commentary describes the line and length of every ball the batter can play
+    const matchContext = {
+      delivery: outcome === 'wide' || outcome === 'no_ball' ? '' : describeDelivery(matchState.delivery, bowler)
     };
     
     switch (outcome) {
       case 'dot':
         result.runs = 0
-        result.commentary = generateCommentary('dot', players)
+        result.commentary = generateCommentary('dot', players, matchContext, null, rng)
         break
       case 'single':
         result.runs = 1
-        result.commentary = generateCommentary('single', players)
+        result.commentary = generateCommentary('single', players, matchContext, null, rng)
         break
       case 'two':
         result.runs = 2
-        result.commentary = generateCommentary('two', players)
+        result.commentary = generateCommentary('two', players, matchContext, null, rng)
         break
       case 'three':
         result.runs = 3
-        result.commentary = generateCommentary('three', players)
+        result.commentary = generateCommentary('three', players, matchContext, null, rng)
         break
       case 'four':
         result.runs = 4
-        result.commentary = generateCommentary('four', players)
+        result.commentary = generateCommentary('four', players, matchContext, null, rng)
         break
       case 'six':
         result.runs = 6
-        result.commentary = generateCommentary('six', players)
+        result.commentary = generateCommentary('six', players, matchContext, null, rng)
         break
       case 'wicket':
+        result.wicketType = this.determineWicketType(bowler.bowling.style, rng, getFieldSetting(matchState.fieldSetting), matchState.delivery, getHandednessWicketTypes(batsman, bowler))
+        
+        // Only a run out counts on a free hit
+        if (result.isFreeHit && result.wicketType !== WICKET_TYPES.RUN_OUT) {
+          result.outcome = 'dot'
+          result.commentary = generateFreeHitSurvival(batsman.name, result.wicketType)
+          result.wicketType = null
+          break
+        }
+        
+        result.fielder = selectFielder(result.wicketType, matchState.bowlingTeam.players, bowler, rng)
+        if (result.fielder) players.fielder = result.fielder.name
+
+        // Catches and stumpings are chances that can go down
+        if (!isChanceTaken(result.wicketType, result.fielder, matchState.conditions, getFieldingPressure(matchState), rng, getFieldSetting(matchState.fieldSetting))) {
+          result.missedChance = { wicketType: result.wicketType, fielder: result.fielder }
+          result.runs = rng.chance(0.3) ? 1 : 0
+          result.outcome = result.runs ? 'single' : 'dot'
+          result.commentary = generateCommentary(result.wicketType === WICKET_TYPES.STUMPED ? 'missedStumping' : 'dropped', players, matchContext, null, rng)
+          result.wicketType = null
+          result.fielder = null
+          break
+        }
+
+        // Runs can be completed before the wicket is broken, and either batter can be run out
+        if (result.wicketType === WICKET_TYPES.RUN_OUT) {
+          result.runs = parseInt(this.weightedRandomSelection(RUN_OUT_RUNS, rng), 10)
+          result.runOut = resolveRunOut(result.runs, rng)
+          if (result.runOut.nonStrikerOut) players.batsman = matchState.nonStriker.name
+        }
+
         result.isWicket = true
-        result.wicketType = this.determineWicketType(bowler.bowling.style)
-        result.commentary = generateCommentary('wicket', players, {}, result.wicketType)
+        result.commentary = generateCommentary('wicket', players, matchContext, result.wicketType, rng)
+        if (result.runs) result.commentary += ` ${result.runs} run${result.runs > 1 ? 's' : ''} completed.`
         break
       case 'wide':
-        result.runs = 1
+        result.extraRuns = this.rollExtraRuns('wide', rng)
         result.isLegalDelivery = false
-        result.commentary = generateCommentary('wide', players)
+        result.commentary = generateCommentary('wide', players, matchContext, null, rng)
         break
       case 'no_ball':
-        result.runs = 1
+        // One-run penalty, plus whatever the batter scores off it
+        result.extraRuns = 1
+        result.runsOffBat = this.rollExtraRuns('no_ball', rng)
         result.isLegalDelivery = false
-        result.commentary = generateCommentary('noBall', players)
+        result.commentary = generateCommentary('noBall', players, matchContext, null, rng)
+        break
+      case 'bye':
+        result.extraRuns = this.rollExtraRuns('bye', rng)
+        result.commentary = generateCommentary('bye', players, matchContext, null, rng)
+        break
+      case 'leg_bye':
+        result.extraRuns = this.rollExtraRuns('leg_bye', rng)
+        result.commentary = generateCommentary('legBye', players, matchContext, null, rng)
         break
     }
     
+    if (EXTRA_RUNS[outcome]) {
+      result.extraType = outcome
+      result.runs = result.runsOffBat + result.extraRuns
+      const extraRuns = generateExtraRuns(outcome, outcome === 'no_ball' ? result.runsOffBat : result.extraRuns, batsman.name)
+      if (extraRuns) result.commentary += ` ${extraRuns}`
+    } else {
+      result.runsOffBat = result.runs
+    }
+    
     return result
   }
 
   /**
-   * Determine type of wicket based on bowler style
+   * Pick how many runs an extra is worth
+   * @param {string} extraType - 'wide', 'no_ball', 'bye' or 'leg_bye'
+   * @param {SeededRandom} rng - Random number source (the match's own rng)
+   * @returns {number} Wides, runs off the bat on a no-ball, or byes/leg byes
    */
-  determineWicketType(bowlingStyle) {
+  rollExtraRuns(extraType, rng = createRandom()) {
+    return parseInt(this.weightedRandomSelection(EXTRA_RUNS[extraType], rng), 10)
+  }
+
+  /**
+   * Determine type of wicket based on bowler style and the field
+   * @param {string} bowlingStyle - Bowler's style
+   * @param {SeededRandom} rng - Random number source
+   * @param {Object} field - Field setting (catchers make caught more likely)
+   * @param {Object} delivery - Delivery bowled (a yorker hits the stumps, a bouncer gets caught)
+   * @param {Object} handedness - Dismissal type modifiers for the batter's hand against the bowler's arm
+   */
+  determineWicketType(bowlingStyle, rng = createRandom(), field = null, delivery = null, handedness = {}) {
     let adjustedProbs = { ...WICKET_TYPE_PROBABILITIES };
     
     // Adjust wicket probabilities based on bowling style
@@ -294,7 +511,14 @@ export class ProbabilityEngine {
       adjustedProbs.lbw *= 1.3;
     }
     
-    const wicketType = this.weightedRandomSelection(adjustedProbs);
+    if (field) {
+      this.applyModifiers(adjustedProbs, field.wicketTypes);
+    }
+    this.applyModifiers(adjustedProbs, getDeliveryWicketTypes(delivery));
+    this.applyModifiers(adjustedProbs, handedness);
+    
+    // Style, field, delivery and handedness adjustments move the total away from 100
+    const wicketType = this.weightedRandomSelection(this.normalizeProbabilities(adjustedProbs), rng);
     return wicketType;
   }
 
@@ -325,9 +549,10 @@ export class ProbabilityEngine {
       return 50 // Equal before second innings
     }
     
-    const target = matchState.innings.first.runs
+    // Runs to tie - from the DLS target once rain has revised it
+    const target = matchState.getTarget() - 1
     const current = matchState.score
-    const ballsRemaining = (matchState.totalOvers * 6) - matchState.balls
+    const ballsRemaining = matchState.getTotalBalls() - matchState.balls
     const wicketsRemaining = 10 - matchState.wickets
     
     const requiredRunRate = this.calculateRequiredRunRate(
@@ -0,0 +1,119 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Every random draw in the simulation engine goes through an instance of
+ * SeededRandom instead of calling Math.random() directly. Creating a match
+ * with the same seed (and the same teams and options) replays it exactly,
+ * which makes bug reports reproducible and lets the engine be tested
+ * deterministically.
+ *
+ * Approach:
+ * - Mulberry32 generator: tiny, fast and good enough for game simulation
+ * - Seeds may be numbers or strings (strings are hashed to 32 bits, except
+ *   strings of digits, which are read as the number so a seed copied from
+ *   the screen into ?seed= replays the same match)
+ * - The internal state is a single integer, so it can be saved and restored
+ */
+
+/**
+ * Hash a string seed into an unsigned 32-bit integer (FNV-1a)
+ * @param {string} text - Seed text
+ * @returns {number} 32-bit seed
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Normalize a number or string seed into an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} 32-bit seed
+ */
+export function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0
+  }
+  if (typeof seed === 'string' && /^\d+$/.test(seed.trim())) {
+    return Number(seed.trim()) >>> 0
+  }
+  return hashSeed(String(seed))
+}
+
+/**
+ * Generate a fresh seed for a match nobody asked to reproduce
+ * @returns {number} 32-bit seed
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 4294967296) >>> 0
+}
+
+/**
+ * SeededRandom class - deterministic pseudo-random number source
+ */
+export class SeededRandom {
+  constructor(seed = generateSeed()) {
+    this.seed = normalizeSeed(seed)
+    this.state = this.seed
+  }
+
+  /**
+   * Next float in [0, 1) - drop-in replacement for Math.random()
+   * @returns {number} Random float
+   */
+  random() {
+    this.state = (this.state + 0x6D2B79F5) | 0
+    let t = this.state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  /**
+   * Random integer between min and max (inclusive)
+   * @param {number} min - Minimum value
+   * @param {number} max - Maximum value
+   * @returns {number} Random integer
+   */
+  int(min, max) {
+    return Math.floor(this.random() * (max - min + 1)) + min
+  }
+
+  /**
+   * Return true with the given probability
+   * @param {number} probability - Probability between 0 and 1
+   * @returns {boolean} Outcome
+   */
+  chance(probability) {
+    return this.random() < probability
+  }
+
+  /**
+   * Pick a random element from an array
+   * @param {Array} items - Items to choose from
+   * @returns {*} Selected item
+   */
+  pick(items) {
+    return items[Math.floor(this.random() * items.length)]
+  }
+}
+
+/**
+ * Create a random number source
+ * @param {number|string} seed - Optional seed; a fresh one is generated if omitted
+ * @returns {SeededRandom} Random number source
+ */
+export function createRandom(seed = null) {
+  return new SeededRandom(seed === null || seed === undefined ? generateSeed() : seed)
+}
+
+export default {
+  SeededRandom,
+  createRandom,
+  generateSeed,
+  normalizeSeed
+}
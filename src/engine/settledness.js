@@ -0,0 +1,67 @@
+/**
+ * Settledness - How well set a batter is at the crease
+ *
+ * Implements:
+ * - A batter arrives unsettled and plays themselves in ball by ball, faster
+ *   the better their mental.concentration
+ * - An unsettled batter is more likely to get out; a set one less so, and
+ *   scores more freely
+ * - Breaks cost it: a batter resumes after lunch or tea half set, and starts
+ *   again the next morning
+ *
+ * Settledness (0-100) is kept on the batter's entry in matchState.batsmanStats
+ */
+
+// Share of the settledness still to gain that each ball faced adds, at 0 and 100 concentration
+const SETTLE_RATE = { min: 0.02, max: 0.05 }
+
+// Share of settledness kept through a lunch or tea break
+const BREAK_RETAINED = 0.5
+
+/**
+ * Settle a batter in after a ball faced
+ * @param {Object} stats - The batter's batsmanStats entry
+ * @param {Player} batsman - Batter
+ */
+export function settleBatter(stats, batsman) {
+  const rate = SETTLE_RATE.min + (SETTLE_RATE.max - SETTLE_RATE.min) * batsman.mental.concentration / 100
+  const settled = stats.settled || 0
+  stats.settled = settled + (100 - settled) * rate
+}
+
+/**
+ * Unsettle a batter after a break in play
+ * @param {Object} stats - The batter's batsmanStats entry
+ * @param {boolean} isOvernight - True after stumps, when the batter starts again
+ */
+export function unsettleBatter(stats, isOvernight) {
+  stats.settled = isOvernight ? 0 : (stats.settled || 0) * BREAK_RETAINED
+}
+
+/**
+ * Get the ball outcome modifiers for how settled a batter is
+ * Half set is neutral: a new batter is up to 30% more likely to get out, a fully
+ * set one 30% less likely and scoring up to 20% more freely
+ * @param {number} settled - Settledness (0-100)
+ * @returns {Object} Ball outcome modifiers
+ */
+export function getSettlednessModifiers(settled = 0) {
+  const share = settled / 100
+  const set = Math.max(0, share - 0.5) * 2
+  const scoring = 1 + 0.2 * set
+
+  return {
+    dot: 1 - 0.1 * set,
+    single: scoring,
+    two: scoring,
+    four: scoring,
+    six: scoring,
+    wicket: 1.3 - 0.6 * share
+  }
+}
+
+export default {
+  settleBatter,
+  unsettleBatter,
+  getSettlednessModifiers
+}
@@ -6,30 +6,51 @@
  * - 2 innings per team (4 innings total)
  * - Unlimited overs per innings (until 10 wickets fall)
  * - Session breaks (Lunch, Tea, Stumps)
- * - Declaration option
- * - Follow-on rule
+ * - Daily weather: rain and bad light cost overs, made up with early starts
+ *   and the extra half hour
+ * - Declarations and the follow-on: the user decides for their side, the AI
+ *   captain from the lead, overs left, pitch wear and weather
+ * - Decision Review System: limited reviews per innings, topped up after 80 overs
+ * - The new ball: due after 80 overs, taken when the fielding captain chooses
  * - Draw result
  */
 
 import { MatchState } from './matchSimulator.js';
 import { TestProbabilityEngine } from './testProbabilityEngine.js';
-import { MatchConditions } from './matchConditions.js';
-import { generateOverSummary, generateInningsSummary, generateMatchResult, generateMilestone } from './commentaryGenerator.js';
-import { formatScore, ballsToOvers, checkMilestone } from './matchUtils.js';
+import { MatchConditions, WEATHER_CONDITIONS } from './matchConditions.js';
+import { generateOverSummary, generateInningsSummary, generateMatchResult, generateMilestone, generateStoppage, generateMakeUpOvers, generateReview, generateNewBall } from './commentaryGenerator.js';
+import { formatScore, ballsToOvers, getRunsRun, checkMilestone } from './matchUtils.js';
 import { BALL_OUTCOMES, WICKET_TYPES } from './matchConstants.js';
 import { Player, PLAYER_ROLES } from './playerStats.js';
+import { BowlingManager, getAvailableBowlers } from './bowlingManager.js';
+import { createRandom } from './random.js';
+import { createBall } from './ballCondition.js';
+import { unsettleBatter } from './settledness.js';
+import { REVIEWS_PER_INNINGS, REVIEW_TOP_UP_OVERS, REVIEW_OUTCOMES, getReviewingTeam, shouldReview, resolveReview, overturnDecision } from './umpiring.js';
 
 // Test cricket constants
 const FOLLOW_ON_THRESHOLD = 200; // Runs behind to enforce follow-on
-const FOLLOW_ON_ENFORCE_MARGIN = 250; // Enforce follow-on if trail is this large
+const FOLLOW_ON_MARGIN_PER_SPARE_OVER = 0.5; // Extra lead the AI wants to enforce for each over it could spend batting again
+const DECLARATION_MIN_LEAD = 200; // Smallest 3rd-innings lead the AI declares on
+const PAR_RUN_RATE = 3.2; // Runs an over a side expects to score while being bowled out
+const RUNS_PER_SPARE_OVER = 3; // Runs in hand the AI wants for each over of spare time it gives up
+const NEW_BALL_DUE_OVERS = 80; // Overs before the fielding side may take a new ball
+const NEW_BALL_LATEST_OVERS = 95; // Ball age the AI takes the new ball at regardless
+const BREAK_FITNESS_RECOVERY = 5; // Fitness every player regains at lunch and tea
+const OVERNIGHT_FITNESS_RECOVERY = 15; // Fitness every player regains overnight
+const BATTER_MIN_FITNESS = 40; // Batters tire no further than this
+const CREASE_FITNESS_DRAIN = 0.04; // Fitness a batter loses for each ball at the crease
+const RUNNING_FITNESS_DRAIN = 0.15; // Extra fitness lost for each run run
 const MATCH_COMPLETE_INNINGS = 5; // Innings number indicating match is complete
+const WASHOUT_CHANCE = 0.4; // Chance a rain-affected session is lost entirely
+const MAX_MAKE_UP_OVERS = 8; // Overs in an early start or the extra half hour
 
 /**
  * Test Match State - extends MatchState for Test cricket
  */
 export class TestMatchState extends MatchState {
-  constructor(team1, team2, conditions = null) {
-    super(team1, team2, 90, conditions); // 90 overs per day
+  constructor(team1, team2, conditions = null, rng = null) {
+    super(team1, team2, 90, conditions, rng, 'Test'); // 90 overs per day
     
     // Test match specific properties
     this.day = 1; // Current day (1-5)
@@ -53,6 +74,11 @@ export class TestMatchState extends MatchState {
     // Session summaries
     this.sessionSummaries = [];
     
+    // Lost time - the current session's plan is set by startSession
+    this.sessionPlan = null;
+    this.oversToMakeUp = 0; // Overs lost and not yet made up
+    this.totalOversLost = 0;
+    
     // Day summaries
     this.daySummaries = [];
     
@@ -65,16 +91,128 @@ export class TestMatchState extends MatchState {
     
     // Declaration tracking
     this.declared = false;
+    this.pendingFollowOn = false; // End of the 2nd innings, waiting on the user's follow-on decision
     
     // Match result
     this.matchResult = null;
+    
+    // Ball age - a new ball may be taken once the old one is NEW_BALL_DUE_OVERS old
+    this.newBallOver = 0; // Over of the innings the ball in use was taken at
+    
+    // Bowling rotation for the current innings (set by startTestInnings)
+    this.bowlingManager = null;
+    
+    // DRS - the user's side (userTeamId) decides its own reviews; the AI reviews for the other
+    this.pendingReview = null; // Ball result waiting on the user's review decision
+    this.resetReviews();
+  }
+
+  /**
+   * Give both sides a full set of reviews for the innings
+   */
+  resetReviews() {
+    this.reviewsRemaining = {
+      [this.team1.id]: REVIEWS_PER_INNINGS,
+      [this.team2.id]: REVIEWS_PER_INNINGS
+    };
+  }
+
+  /**
+   * Get the reviews a side has left this innings
+   * @param {Object} team - Team
+   * @returns {number} Reviews remaining
+   */
+  getReviewsRemaining(team) {
+    return this.reviewsRemaining[team.id] || 0;
+  }
+
+  /**
+   * Use one of a side's reviews
+   * @param {Object} team - Team reviewing
+   * @param {boolean} retained - Overturned and umpire's call reviews are kept
+   */
+  useReview(team, retained) {
+    if (!retained) {
+      this.reviewsRemaining[team.id] = Math.max(0, this.getReviewsRemaining(team) - 1);
+    }
+  }
+
+  /**
+   * Get the innings currently in progress (1-4)
+   */
+  getInningsNumber() {
+    return this.inningsNumber;
   }
 
   /**
    * Check if session is complete
    */
   isSessionComplete() {
-    return this.oversInSession >= this.oversPerSession || this.isInningsComplete();
+    return this.oversInSession >= this.getSessionOvers() || this.isInningsComplete();
+  }
+
+  /**
+   * Get the overs available in the current session after lost time and make-up
+   */
+  getSessionOvers() {
+    if (!this.sessionPlan) return this.oversPerSession;
+    const { scheduled, lost, madeUp } = this.sessionPlan;
+    return Math.max(0, scheduled - lost + madeUp);
+  }
+
+  /**
+   * Plan the session about to start: the day's weather, rain, bad light,
+   * and any early start or extra half hour to make up lost overs
+   */
+  startSession() {
+    const plan = { scheduled: this.oversPerSession, lost: 0, madeUp: 0, stoppages: [] };
+    this.sessionPlan = plan;
+    if (!this.conditions) return;
+    
+    if (this.session === 1 && this.day > 1 && this.conditions.updateWeatherForDay(this.rng)) {
+      this.commentary.push(`DAY ${this.day}: Weather ${this.conditions.weather} this morning.`);
+    }
+    
+    const carriedOver = this.oversToMakeUp;
+    if (this.rng.chance(this.conditions.getSessionRainChance())) {
+      const washout = this.rng.chance(WASHOUT_CHANCE);
+      this.loseOvers(plan, 'rain', washout ? plan.scheduled : this.rng.int(10, 25), washout);
+    }
+    const washedOut = this.getSessionOvers() === 0;
+    
+    // Early start to recover overs lost on earlier days
+    if (this.session === 1 && !washedOut && carriedOver > 0) {
+      plan.madeUp = Math.min(MAX_MAKE_UP_OVERS, carriedOver);
+      this.commentary.push(generateMakeUpOvers('early_start', plan.madeUp));
+    }
+    
+    if (this.session === 3 && this.getSessionOvers() > 0 && this.rng.chance(this.conditions.getBadLightChance())) {
+      this.loseOvers(plan, 'bad_light', Math.min(this.getSessionOvers(), this.rng.int(5, 15)), false);
+    }
+    
+    // Extra half hour at the end of the day, unless the light or rain has already gone
+    if (this.session === 3 && plan.stoppages.length === 0 && this.oversToMakeUp > 0) {
+      const extra = Math.min(MAX_MAKE_UP_OVERS, this.oversToMakeUp);
+      plan.madeUp += extra;
+      this.commentary.push(generateMakeUpOvers('extra_time', extra));
+    }
+    
+    this.oversToMakeUp = Math.max(0, this.oversToMakeUp - plan.madeUp);
+  }
+
+  /**
+   * Take overs off the session plan and add them to the overs to make up
+   * @param {Object} plan - Current session plan
+   * @param {string} reason - 'rain' or 'bad_light'
+   * @param {number} overs - Overs lost
+   * @param {boolean} washout - True if the whole session is lost
+   */
+  loseOvers(plan, reason, overs, washout) {
+    plan.lost += overs;
+    plan.stoppages.push({ reason, overs, washout });
+    this.oversToMakeUp += overs;
+    this.totalOversLost += overs;
+    this.commentary.push(generateStoppage(reason, overs, washout));
   }
 
   /**
@@ -84,10 +222,76 @@ export class TestMatchState extends MatchState {
     return this.totalOversToday >= this.oversPerDay || (this.session === 3 && this.isSessionComplete());
   }
 
+  /**
+   * Get each side's total from completed innings
+   * team1 batted first; with the follow-on enforced team2 bats 2nd and 3rd
+   * @returns {Object} { team1, team2 } run totals
+   */
+  getCompletedInningsTotals() {
+    const { first, second, third, fourth } = this.allInnings;
+    const runs = innings => (innings ? innings.runs : 0);
+    
+    if (this.followOnEnforced) {
+      return { team1: runs(first) + runs(fourth), team2: runs(second) + runs(third) };
+    }
+    return { team1: runs(first) + runs(third), team2: runs(second) + runs(fourth) };
+  }
+
+  /**
+   * Get the runs the side batting 4th needs in their innings to win
+   */
+  getFourthInningsTarget() {
+    const totals = this.getCompletedInningsTotals();
+    const battingLastTotal = this.followOnEnforced ? totals.team1 : totals.team2;
+    const bowlingLastTotal = this.followOnEnforced ? totals.team2 : totals.team1;
+    return bowlingLastTotal - battingLastTotal + 1;
+  }
+
+  /**
+   * Get the batting side's lead over the fielding side (negative when behind)
+   */
+  getLead() {
+    const totals = this.getCompletedInningsTotals();
+    const battingFirst = this.battingTeam.id === this.team1.id;
+    const battingTotal = (battingFirst ? totals.team1 : totals.team2) + this.score;
+    return battingTotal - (battingFirst ? totals.team2 : totals.team1);
+  }
+
+  /**
+   * Get the overs left in the match: what rain and bad light have left of today,
+   * the days to come, and the lost overs that early starts and extra half hours
+   * can still win back
+   */
+  getOversRemainingInMatch() {
+    if (this.day > this.matchDays) return 0;
+    
+    const sessionsLeftToday = Math.max(0, 3 - this.session);
+    const oversLeftToday = Math.max(0, this.getSessionOvers() - this.oversInSession) + sessionsLeftToday * this.oversPerSession;
+    const daysLeft = this.matchDays - this.day;
+    const makeUpSlots = daysLeft * 2 + (this.session < 3 ? 1 : 0);
+    const oversToWinBack = Math.min(this.oversToMakeUp, makeUpSlots * MAX_MAKE_UP_OVERS);
+    return oversLeftToday + daysLeft * this.oversPerDay + oversToWinBack;
+  }
+
+  /**
+   * Check if the side that batted twice is still behind after three innings
+   */
+  isInningsVictory() {
+    if (!this.allInnings.third || this.allInnings.fourth) return false;
+    
+    const totals = this.getCompletedInningsTotals();
+    const battedOnceTotal = this.followOnEnforced ? totals.team1 : totals.team2;
+    const battedTwiceTotal = this.followOnEnforced ? totals.team2 : totals.team1;
+    return battedOnceTotal > battedTwiceTotal;
+  }
+
   /**
    * Check if match is complete
    */
   isMatchComplete() {
+    // Innings victory once the 3rd innings has been stored
+    if (this.inningsNumber === 4 && this.isInningsVictory()) return true;
+    
     // Check for innings victory FIRST (before other checks)
     // This happens when one team only batted once, other team batted twice
     
@@ -126,11 +330,7 @@ export class TestMatchState extends MatchState {
     if (this.inningsNumber === 4 && this.wickets >= 10) return true;
     
     // 4th innings: Team successfully chased target
-    if (this.inningsNumber === 4 && this.allInnings.fourth) {
-      const target = this.allInnings.first.runs + this.allInnings.third.runs + 1;
-      const currentTotal = this.allInnings.second.runs + this.score;
-      if (currentTotal >= target) return true;
-    }
+    if (this.inningsNumber === 4 && this.score >= this.getFourthInningsTarget()) return true;
     
     // 5 days complete - Draw
     if (this.day > this.matchDays) return true;
@@ -149,11 +349,7 @@ export class TestMatchState extends MatchState {
     if (this.declared) return true;
     
     // For 4th innings, check if target achieved
-    if (this.inningsNumber === 4) {
-      const target = this.allInnings.first.runs + this.allInnings.third.runs + 1;
-      const currentTotal = this.allInnings.second.runs + this.score;
-      if (currentTotal >= target) return true;
-    }
+    if (this.inningsNumber === 4 && this.score >= this.getFourthInningsTarget()) return true;
     
     return false;
   }
@@ -172,12 +368,26 @@ export class TestMatchState extends MatchState {
       runs: this.score,
       wickets: this.wickets,
       overs: this.getCurrentOver(),
+      oversLost: this.sessionPlan ? this.sessionPlan.lost : 0,
+      oversMadeUp: this.sessionPlan ? this.sessionPlan.madeUp : 0,
+      stoppages: this.sessionPlan ? this.sessionPlan.stoppages : [],
       commentary: [...this.commentary].slice(-10) // Last 10 items
     };
     this.sessionSummaries.push(summary);
     
+    // The batters have to play themselves in again - from scratch the next morning
+    for (const stats of this.batsmanStats.values()) {
+      if (!stats.isOut) unsettleBatter(stats, this.session > 3);
+    }
+    
     if (this.session > 3) {
       this.nextDay();
+    } else {
+      this.recoverFitness(BREAK_FITNESS_RECOVERY);
+    }
+    
+    if (this.day <= this.matchDays) {
+      this.startSession();
     }
   }
 
@@ -198,10 +408,11 @@ export class TestMatchState extends MatchState {
       overs: this.getCurrentOver(),
       sessions: this.sessionSummaries.filter(s => s.day === this.day - 1)
     };
+    summary.oversLost = summary.sessions.reduce((total, s) => total + s.oversLost, 0);
     this.daySummaries.push(summary);
     
-    // Recover bowler fitness overnight
-    this.recoverBowlerFitness();
+    // Recover fitness overnight
+    this.recoverFitness(OVERNIGHT_FITNESS_RECOVERY);
     
     // Update pitch conditions for new day
     if (this.conditions) {
@@ -210,21 +421,22 @@ export class TestMatchState extends MatchState {
   }
 
   /**
-   * Recover bowler fitness overnight
+   * Recover fitness at a break - batters and bowlers on both sides
+   * @param {number} amount - Fitness regained
    */
-  recoverBowlerFitness() {
-    // All bowlers recover some fitness overnight
-    for (const player of this.bowlingTeam.players) {
+  recoverFitness(amount) {
+    for (const player of [...this.team1.players, ...this.team2.players]) {
       if (player.fitness < 100) {
-        player.fitness = Math.min(100, player.fitness + 15);
+        player.fitness = Math.min(100, player.fitness + amount);
       }
     }
   }
 
   /**
-   * Switch to next innings
+   * Store the current innings (scores, cards, commentary) in allInnings
+   * Called by switchInnings, and on its own when time runs out mid-innings
    */
-  switchInnings() {
+  saveInningsData() {
     // CRITICAL FIX: Build complete batting and bowling cards for scorecards
     
     // Build batting card - all batsmen with their stats
@@ -259,6 +471,23 @@ export class TestMatchState extends MatchState {
       }
     }
     
+    // Build fielding card - fielders credited with dismissals or who missed chances this innings
+    const deliveries = this.getDeliveries(this.inningsNumber)
+    const fieldingCard = []
+    for (const player of this.bowlingTeam.players) {
+      const dismissals = deliveries.filter(d => d.fielderId === player.id)
+      const chancesMissed = deliveries.filter(d => d.missedChanceBy === player.id).length
+      if (dismissals.length > 0 || chancesMissed > 0) {
+        fieldingCard.push({
+          name: player.name,
+          catches: dismissals.filter(d => d.wicketType === WICKET_TYPES.CAUGHT).length,
+          stumpings: dismissals.filter(d => d.wicketType === WICKET_TYPES.STUMPED).length,
+          runOuts: dismissals.filter(d => d.wicketType === WICKET_TYPES.RUN_OUT).length,
+          chancesMissed
+        })
+      }
+    }
+    
     // Save current innings data
     const inningsData = {
       runs: this.score,
@@ -267,9 +496,11 @@ export class TestMatchState extends MatchState {
       extras: this.extras.wides + this.extras.noBalls + this.extras.byes + this.extras.legByes,
       fallOfWickets: [...this.fallOfWickets],
       commentary: [...this.commentary],
+      deliveries,
       declared: this.declared,
       battingCard: battingCard,
-      bowlingCard: bowlingCard
+      bowlingCard: bowlingCard,
+      fieldingCard
     };
     
     // Store innings data
@@ -287,6 +518,14 @@ export class TestMatchState extends MatchState {
         this.allInnings.fourth = inningsData;
         break;
     }
+  }
+
+  /**
+   * Switch to next innings
+   * @param {boolean|null} enforceFollowOn - The user's follow-on decision (null for the AI's)
+   */
+  switchInnings(enforceFollowOn = null) {
+    this.saveInningsData();
     
     this.inningsNumber++;
     
@@ -307,7 +546,7 @@ export class TestMatchState extends MatchState {
       const trail = this.allInnings.first.runs - this.allInnings.second.runs;
       const followOnPossible = trail >= FOLLOW_ON_THRESHOLD;
       
-      if (followOnPossible && this.shouldEnforceFollowOn(trail)) {
+      if (followOnPossible && (enforceFollowOn ?? this.shouldEnforceFollowOn(trail))) {
         // Follow-on enforced: Team batting 2nd bats again (DON'T swap)
         this.followOnEnforced = true;
         // battingTeam and bowlingTeam stay the same
@@ -337,17 +576,100 @@ export class TestMatchState extends MatchState {
     this.batsmanStats.clear();
     this.bowlerStats.clear();
     this.declared = false;
+    this.newBallOver = 0;
+    this.ball = createBall();
+    this.resetReviews();
   }
   
   /**
-   * Decide if follow-on should be enforced
+   * Get the age of the ball in use, in overs
+   */
+  getBallAge() {
+    return Math.floor(this.balls / 6) - this.newBallOver;
+  }
+
+  /**
+   * Check if the fielding side may take a new ball
+   */
+  isNewBallDue() {
+    return this.getBallAge() >= NEW_BALL_DUE_OVERS;
+  }
+
+  /**
+   * Take a new ball at the start of an over
+   */
+  takeNewBall() {
+    if (!this.isNewBallDue()) return;
+    
+    this.commentary.push(generateNewBall(this.bowlingTeam.name, 'taken', this.getBallAge()));
+    this.newBallOver = Math.floor(this.balls / 6);
+    this.ball = createBall();
+  }
+
+  /**
+   * AI captain's new ball decision
+   * Take it unless the seamers are too tired to make use of it, or the spinners
+   * are taking cheap wickets with the old ball - and always once it's badly worn
+   * @returns {boolean} True if the fielding side should take the new ball
+   */
+  shouldTakeNewBall() {
+    if (!this.isNewBallDue()) return false;
+    if (this.getBallAge() >= NEW_BALL_LATEST_OVERS) return true;
+    
+    const bowlers = this.bowlingManager ? this.bowlingManager.allBowlers : [];
+    const isSpinner = bowler => Boolean(bowler.bowling.style && bowler.bowling.style.includes('spin'));
+    const seamers = bowlers.filter(bowler => !isSpinner(bowler));
+    if (seamers.length === 0) return false;
+    
+    const seamerFitness = seamers.reduce((total, bowler) => total + bowler.fitness, 0) / seamers.length;
+    if (seamerFitness < 65) return false;
+    
+    const spinStats = bowlers.filter(isSpinner).map(bowler => this.bowlerStats.get(bowler.id)).filter(Boolean);
+    const spinWickets = spinStats.reduce((total, stats) => total + stats.wickets, 0);
+    const spinRuns = spinStats.reduce((total, stats) => total + stats.runs, 0);
+    return spinWickets < 3 || spinRuns / spinWickets >= 30;
+  }
+
+  /**
+   * Check if the weather may cost overs later in the match
+   */
+  isRainAbout() {
+    if (!this.conditions) return false;
+    return this.conditions.weather === WEATHER_CONDITIONS.RAIN || this.conditions.weather === WEATHER_CONDITIONS.OVERCAST;
+  }
+
+  /**
+   * Check if the side that batted first can enforce the follow-on
+   * Called at the end of the 2nd innings, before switchInnings
+   */
+  canEnforceFollowOn() {
+    if (this.inningsNumber !== 2 || !this.allInnings.first) return false;
+    return this.allInnings.first.runs - this.score >= FOLLOW_ON_THRESHOLD;
+  }
+
+  /**
+   * Get the overs the fielding side expects to need to bowl a side out -
+   * fewer on a worn pitch, more with rain about to take the players off
+   */
+  getOversToBowlOut() {
+    const wear = this.conditions ? this.conditions.pitchWear : 0;
+    return 110 - wear / 2 + (this.isRainAbout() ? 15 : 0);
+  }
+
+  /**
+   * AI captain's follow-on decision
+   * Batting again and still bowling the opposition out takes two innings' worth of
+   * overs. Without them the follow-on is enforced; with time to spare, each spare
+   * over (and the wear on the pitch to bat last on) raises the lead needed to enforce
    * @param {number} trail - Runs behind
    * @returns {boolean} True if follow-on should be enforced
    */
   shouldEnforceFollowOn(trail) {
-    // Simple logic: enforce if trail is very large
-    // This gives the batting team a chance to tire out opposition
-    return trail >= FOLLOW_ON_ENFORCE_MARGIN;
+    const spareOvers = this.getOversRemainingInMatch() - this.getOversToBowlOut() * 2;
+    if (spareOvers <= 0) return true;
+    
+    const wear = this.conditions ? this.conditions.pitchWear : 0;
+    return trail >= FOLLOW_ON_THRESHOLD + spareOvers * FOLLOW_ON_MARGIN_PER_SPARE_OVER + wear / 2;
   }
 
   /**
@@ -355,42 +677,44 @@ export class TestMatchState extends MatchState {
    */
   declareInnings() {
     this.declared = true;
+    this.commentary.push(`DECLARATION! ${this.battingTeam.name} declare on ${this.score}/${this.wickets}`);
   }
 
   /**
-   * Check if can declare (need significant lead)
+   * Check if the batting side can declare - any time in the first three innings
    */
   canDeclare() {
-    // Can only declare in 1st or 3rd innings
-    if (this.inningsNumber !== 1 && this.inningsNumber !== 3) return false;
-    
-    // Need to have batted at least 60 overs
-    if (this.balls < 360) return false;
-    
-    // Simple logic: declare when 300+ ahead
-    if (this.inningsNumber === 1) {
-      // First innings - just need good score (350+)
-      return this.score >= 350;
-    } else if (this.inningsNumber === 3) {
-      // Third innings - need lead of 300+
-      const firstInningsLead = this.allInnings.first.runs - this.allInnings.second.runs;
-      const currentLead = firstInningsLead + this.score;
-      return currentLead >= 300;
-    }
-    
-    return false;
+    if (this.inningsNumber > 3) return false;
+    return !this.isInningsComplete();
   }
 
   /**
-   * Check for follow-on
+   * AI captain's declaration decision, made at the end of each over
+   * A 1st innings is closed once the time left to bowl the opposition out twice
+   * (once after a 2nd innings) is no more than the runs in hand can pay for -
+   * runs above a par total on this pitch after a 1st innings, the lead after a
+   * 2nd. A 3rd is closed once the lead can't be chased in the overs left, or
+   * sooner if time is running out to bowl the opposition out
+   * @returns {boolean} True if the batting side should declare
    */
-  checkFollowOn() {
-    // Follow-on only after 2nd innings
-    if (this.inningsNumber !== 2) return false;
+  shouldDeclare() {
+    if (!this.canDeclare()) return false;
     
-    // Team batting second is 200+ runs behind
-    const deficit = this.allInnings.first.runs - this.score;
-    return deficit >= 200;
+    const oversLeft = this.getOversRemainingInMatch();
+    const wear = this.conditions ? this.conditions.pitchWear : 0;
+    const oversToBowlOut = this.getOversToBowlOut();
+    
+    if (this.inningsNumber <= 2) {
+      const inningsToBowl = this.inningsNumber === 1 ? 2 : 1;
+      const spareOvers = oversLeft - oversToBowlOut * inningsToBowl;
+      const runsInHand = this.inningsNumber === 1 ? this.score - oversToBowlOut * PAR_RUN_RATE : this.getLead();
+      return runsInHand > 0 && spareOvers <= runsInHand / RUNS_PER_SPARE_OVER;
+    }
+    
+    // Runs a side can't chase at around 3 an over - fewer on a worn pitch
+    const lead = this.getLead();
+    const safeLead = Math.max(DECLARATION_MIN_LEAD, oversLeft * (wear > 60 ? 2.75 : 3.25));
+    return lead >= safeLead || (lead >= DECLARATION_MIN_LEAD && oversLeft <= oversToBowlOut);
   }
 
   /**
@@ -409,12 +733,16 @@ export class TestMatchState extends MatchState {
         status = `${this.battingTeam.name} TRAIL BY ${Math.abs(lead)} RUNS`;
       }
     } else if (this.inningsNumber === 3) {
-      const firstInningsLead = this.allInnings.first.runs - this.allInnings.second.runs;
+      const totals = this.getCompletedInningsTotals();
+      const firstInningsLead = this.followOnEnforced ? totals.team2 - totals.team1 : totals.team1 - totals.team2;
       const currentLead = firstInningsLead + this.score;
-      status = `${this.battingTeam.name} LEAD BY ${currentLead} RUNS`;
+      if (currentLead >= 0) {
+        status = `${this.battingTeam.name} LEAD BY ${currentLead} RUNS`;
+      } else {
+        status = `${this.battingTeam.name} TRAIL BY ${Math.abs(currentLead)} RUNS`;
+      }
     } else if (this.inningsNumber === 4) {
-      const target = this.allInnings.first.runs + this.allInnings.third.runs + 1;
-      const needed = target - (this.allInnings.second.runs + this.score);
+      const needed = this.getFourthInningsTarget() - this.score;
       status = `${this.battingTeam.name} NEED ${needed} RUNS TO WIN`;
     }
     
@@ -437,6 +765,19 @@ export class TestMatchState extends MatchState {
     }
   }
 
+  /**
+   * Get the result for a drawn match, noting the overs lost to weather and light
+   */
+  getDrawResult() {
+    return {
+      result: 'draw',
+      winner: null,
+      margin: null,
+      oversLost: this.totalOversLost,
+      description: this.totalOversLost > 0 ? `MATCH DRAWN (${this.totalOversLost} OVERS LOST)` : 'MATCH DRAWN'
+    };
+  }
+
   /**
    * Determine match result
    */
@@ -449,94 +790,54 @@ export class TestMatchState extends MatchState {
     // Not complete yet
     if (!this.isMatchComplete()) return null;
     
-    // INNINGS VICTORY - Scenario 1: Follow-on enforced
-    // Team A: 300 (1st), Team B: 100 (2nd), Team B: 120 (3rd)
-    // Team A wins by innings and 80 runs
-    if (this.inningsNumber === 3 && this.followOnEnforced) {
-      const teamBattedOnceRuns = this.allInnings.first.runs;
-      const teamBattedTwiceRuns = this.allInnings.second.runs + this.allInnings.third.runs;
-      
-      if (teamBattedOnceRuns > teamBattedTwiceRuns) {
-        const margin = teamBattedOnceRuns - teamBattedTwiceRuns;
-        
-        return {
-          result: 'win',
-          winner: this.team1,  // Team who batted first (only once)
-          margin: `innings and ${margin} runs`,
-          description: `${this.team1.name} WON BY AN INNINGS AND ${margin} RUNS`
-        };
-      }
-    }
-    
-    // INNINGS VICTORY - Scenario 2: Team batting 1st and 3rd all out cheaply
-    // Team A: 300 (1st), Team B: 400 (2nd), Team A: 50 (3rd)
-    // Team B wins by innings and 50 runs
-    if (this.inningsNumber === 3 && !this.followOnEnforced) {
-      const team1Total = this.allInnings.first.runs + this.allInnings.third.runs;
-      const team2Total = this.allInnings.second.runs;
-      
-      if (team2Total > team1Total) {
-        const margin = team2Total - team1Total;
-        
-        return {
-          result: 'win',
-          winner: this.team2,  // Team who batted second (only once)
-          margin: `innings and ${margin} runs`,
-          description: `${this.team2.name} WON BY AN INNINGS AND ${margin} RUNS`
-        };
-      }
-    }
-    
     // Drawn match (time ran out)
     if (this.day > this.matchDays) {
-      return {
-        result: 'draw',
-        winner: null,
-        margin: null,
-        description: 'MATCH DRAWN'
-      };
+      return this.getDrawResult();
     }
     
-    // If only 2 innings completed, it's a draw
-    if (!this.allInnings.third) {
+    // INNINGS VICTORY - side that batted twice still behind after three innings
+    // Follow-on: Team A 300, Team B 100 & 120 -> Team A by an innings and 80 runs
+    // Otherwise: Team A 300 & 50, Team B 400 -> Team B by an innings and 50 runs
+    if (this.isInningsVictory()) {
+      const totals = this.getCompletedInningsTotals();
+      const winner = this.followOnEnforced ? this.team1 : this.team2;
+      const margin = this.followOnEnforced ? totals.team1 - totals.team2 : totals.team2 - totals.team1;
+      
       return {
-        result: 'draw',
-        winner: null,
-        margin: null,
-        description: 'MATCH DRAWN'
+        result: 'win',
+        winner,
+        margin: `innings and ${margin} runs`,
+        description: `${winner.name} WON BY AN INNINGS AND ${margin} RUNS`
       };
     }
     
-    // Normal result: All 4 innings completed
+    // Match drawn (not all 4 innings completed)
     if (!this.allInnings.fourth) {
-      // Match drawn (not all 4 innings completed)
-      return {
-        result: 'draw',
-        winner: null,
-        margin: null,
-        description: 'MATCH DRAWN'
-      };
+      return this.getDrawResult();
     }
     
     // Calculate totals (all 4 innings completed)
-    const team1Total = this.allInnings.first.runs + this.allInnings.third.runs;
-    const team2Total = this.allInnings.second.runs + this.allInnings.fourth.runs;
+    const totals = this.getCompletedInningsTotals();
+    const battingLast = this.followOnEnforced ? this.team1 : this.team2;
+    const bowlingLast = this.followOnEnforced ? this.team2 : this.team1;
+    const battingLastTotal = this.followOnEnforced ? totals.team1 : totals.team2;
+    const bowlingLastTotal = this.followOnEnforced ? totals.team2 : totals.team1;
     
-    if (team1Total > team2Total) {
-      const margin = team1Total - team2Total;
+    if (bowlingLastTotal > battingLastTotal) {
+      const margin = bowlingLastTotal - battingLastTotal;
       return {
         result: 'win',
-        winner: this.team1,
+        winner: bowlingLast,
         margin: `${margin} runs`,
-        description: `${this.team1.name} WON BY ${margin} RUNS`
+        description: `${bowlingLast.name} WON BY ${margin} RUNS`
       };
-    } else if (team2Total > team1Total) {
+    } else if (battingLastTotal > bowlingLastTotal) {
       const wicketsRemaining = 10 - this.allInnings.fourth.wickets;
       return {
         result: 'win',
-        winner: this.team2,
+        winner: battingLast,
         margin: `${wicketsRemaining} wickets`,
-        description: `${this.team2.name} WON BY ${wicketsRemaining} WICKETS`
+        description: `${battingLast.name} WON BY ${wicketsRemaining} WICKETS`
       };
     } else {
       // Tied Test match
@@ -552,6 +853,9 @@ export class TestMatchState extends MatchState {
 
 /**
  * Simulate a single ball in Test cricket
+ * A decision the user's side can review is left on matchState.pendingReview, and
+ * the ball isn't played out until resolvePendingReview is called
+ * @returns {Object} Ball outcome (awaitingReview is set if the user must decide)
  */
 export function simulateTestBall(matchState, probabilityEngine) {
   if (!matchState.striker || !matchState.bowler) {
@@ -565,25 +869,84 @@ export function simulateTestBall(matchState, probabilityEngine) {
     matchState
   )
   
+  // A close LBW or caught-behind decision can be reviewed
+  if (outcome.decision) {
+    const team = getReviewingTeam(outcome.decision, matchState)
+    const reviewsRemaining = matchState.getReviewsRemaining(team)
+    
+    if (reviewsRemaining > 0 && team.id === matchState.userTeamId) {
+      outcome.awaitingReview = true
+      matchState.pendingReview = outcome
+      return outcome
+    }
+    if (shouldReview(outcome.decision, reviewsRemaining, matchState.rng)) {
+      reviewDecision(matchState, outcome)
+    }
+  }
+  
+  return playTestBall(matchState, outcome)
+}
+
+/**
+ * Send an on-field decision to DRS, updating the ball result and the side's reviews
+ * @param {TestMatchState} matchState - Match state
+ * @param {Object} outcome - Ball result carrying the decision
+ */
+function reviewDecision(matchState, outcome) {
+  const team = getReviewingTeam(outcome.decision, matchState)
+  const result = resolveReview(outcome.decision)
+  
+  matchState.useReview(team, result !== REVIEW_OUTCOMES.UPHELD)
+  if (result === REVIEW_OUTCOMES.OVERTURNED) {
+    overturnDecision(outcome)
+  }
+  
+  outcome.review = { teamId: team.id, result }
+  outcome.commentary += ` ${generateReview(team.name, matchState.striker.name, result, outcome.decision.givenOut)}`
+}
+
+/**
+ * Apply a ball result to the match state
+ * @param {TestMatchState} matchState - Match state
+ * @param {Object} outcome - Ball result from the probability engine
+ * @returns {Object} Ball outcome
+ */
+function playTestBall(matchState, outcome) {
+  // Capture who was involved before strike rotation or a new batsman changes them
+  const deliveryContext = {
+    striker: matchState.striker,
+    nonStriker: matchState.nonStriker,
+    bowler: matchState.bowler,
+    ballsBefore: matchState.balls
+  }
+  
   // Store previous runs for milestone check
   const strikerStats = matchState.batsmanStats.get(matchState.striker.id)
   const previousRuns = strikerStats ? strikerStats.runs : 0
   
   // Update match state based on outcome
   if (outcome.isWicket) {
+    // Either batter can be run out; runs completed before the wicket still count
+    const batsmanOut = outcome.runOut?.nonStrikerOut ? matchState.nonStriker : matchState.striker
+    if (outcome.runOut) {
+      matchState.updateBatsmanStats(matchState.striker, outcome.runsOffBat)
+    }
+    
     matchState.wickets++
     // CRITICAL FIX: Pass wicket type and bowler info for detailed dismissals
-    matchState.handleWicket(matchState.striker, matchState.score, outcome.wicketType, matchState.bowler)
+    matchState.handleWicket(batsmanOut, matchState.score + outcome.runs, outcome.wicketType, matchState.bowler, outcome.fielder, outcome.runOut?.newBatsmanOnStrike)
     
     // Update player confidence after getting out
-    matchState.striker.confidence = Math.max(20, matchState.striker.confidence - 10)
+    batsmanOut.confidence = Math.max(20, batsmanOut.confidence - 10)
     
     // Update bowler confidence after taking wicket
     matchState.bowler.confidence = Math.min(100, matchState.bowler.confidence + 15)
   } else {
-    // Update batsman stats if legal delivery
-    if (outcome.isLegalDelivery) {
-      matchState.updateBatsmanStats(matchState.striker, outcome.runs, outcome.runs >= 4)
+    if (outcome.missedChance) matchState.recordMissedChance(outcome.missedChance.fielder)
+    
+    // The striker faces legal deliveries and no-balls, but not wides
+    if (outcome.isLegalDelivery || outcome.extraType === BALL_OUTCOMES.NO_BALL) {
+      matchState.updateBatsmanStats(matchState.striker, outcome.runsOffBat, outcome.runsOffBat >= 4)
       
       // Check for batting milestone
       if (strikerStats) {
@@ -597,41 +960,44 @@ export function simulateTestBall(matchState, probabilityEngine) {
         }
       }
       
-      // Rotate strike on odd runs
-      if (outcome.runs % 2 === 1) {
-        matchState.rotateStrike()
-      }
-      
       // Update confidence based on outcome
-      if (outcome.runs >= 4) {
+      if (outcome.runsOffBat >= 4) {
         matchState.striker.confidence = Math.min(100, matchState.striker.confidence + 5)
       }
     }
+    
+    // Rotate strike on odd runs
+    if (getRunsRun(outcome) % 2 === 1) {
+      matchState.rotateStrike()
+    }
   }
   
   // Update bowler stats
-  matchState.updateBowlerStats(matchState.bowler, outcome.runs, outcome.isWicket, outcome.isLegalDelivery)
+  matchState.updateBowlerStats(matchState.bowler, outcome.runs, outcome.isWicket && outcome.wicketType !== WICKET_TYPES.RUN_OUT, outcome.isLegalDelivery, outcome.extraType)
   
   // Track balls and score
   if (outcome.isLegalDelivery) {
     matchState.balls++
     matchState.oversInSession = Math.floor(matchState.balls / 6) - Math.floor((matchState.balls - 1) / 6) + matchState.oversInSession
-    matchState.totalOversToday = Math.floor(matchState.balls / 6)
+    matchState.totalOversToday += matchState.balls % 6 === 0 ? 1 : 0
     matchState.currentBowlerOvers++
+    matchState.wearBall()
+    
+    if (matchState.balls === REVIEW_TOP_UP_OVERS * 6) {
+      matchState.resetReviews()
+      matchState.commentary.push(`${REVIEW_TOP_UP_OVERS} overs bowled - reviews topped up to ${REVIEWS_PER_INNINGS} each.`)
+    }
   }
   
   matchState.score += outcome.runs
   
   // Track extras
-  if (!outcome.isLegalDelivery) {
-    if (outcome.outcome === 'wide') {
-      matchState.extras.wides++
-    } else if (outcome.outcome === 'no_ball') {
-      matchState.extras.noBalls++
-    }
+  if (outcome.extraType) {
+    matchState.addExtras(outcome.extraType, outcome.extraRuns)
   }
   
   matchState.commentary.push(outcome.commentary)
+  outcome.delivery = matchState.recordDelivery(outcome, deliveryContext)
   
   // Apply fatigue to bowler (more in Test cricket)
   if (outcome.isLegalDelivery && matchState.bowler.fitness > 50) {
@@ -641,10 +1007,297 @@ export function simulateTestBall(matchState, probabilityEngine) {
     }
   }
   
+  if (outcome.isLegalDelivery) {
+    tireBatters(matchState, [deliveryContext.striker, deliveryContext.nonStriker], getRunsRun(outcome))
+  }
+  
   return outcome
 }
 
+/**
+ * Tire the batters for a ball at the crease, and more for the runs they ran
+ * Hot, humid weather (stamina_drain) tires them faster
+ * @param {TestMatchState} matchState - Match state
+ * @param {Player[]} batters - Striker and non-striker for the ball
+ * @param {number} runsRun - Runs run between the wickets
+ */
+function tireBatters(matchState, batters, runsRun) {
+  const drain = matchState.conditions ? matchState.conditions.getWeatherModifiers().stamina_drain : 1
+  const loss = (CREASE_FITNESS_DRAIN + RUNNING_FITNESS_DRAIN * runsRun) * drain
+  
+  for (const batter of batters) {
+    if (batter) batter.fitness = Math.max(BATTER_MIN_FITNESS, batter.fitness - loss)
+  }
+}
+
+/**
+ * Start an innings: open the batting, pick the bowling attack and first bowler
+ * @param {TestMatchState} matchState - Match state (battingTeam/bowlingTeam already set)
+ * @returns {BowlingManager} Bowling manager for the innings
+ */
+export function startTestInnings(matchState) {
+  // Add innings start commentary
+  if (matchState.inningsNumber === 2) {
+    const avoidFollowOn = matchState.allInnings.first.runs - FOLLOW_ON_THRESHOLD + 1
+    matchState.commentary.push(`${matchState.battingTeam.name} begin their reply...`)
+    if (avoidFollowOn > 0) {
+      matchState.commentary.push(`They need ${avoidFollowOn} runs to avoid follow-on`)
+    }
+  } else if (matchState.inningsNumber === 3) {
+    if (matchState.followOnEnforced) {
+      matchState.commentary.push(`FOLLOW-ON ENFORCED!`)
+      matchState.commentary.push(`${matchState.battingTeam.name} bat again...`)
+    } else {
+      matchState.commentary.push(`3rd innings begins...`)
+      if (matchState.allInnings.first.runs - matchState.allInnings.second.runs >= FOLLOW_ON_THRESHOLD) {
+        matchState.commentary.push(`${matchState.battingTeam.name} decide not to enforce the follow-on`)
+      }
+      matchState.commentary.push(`${matchState.battingTeam.name} bat again`)
+    }
+  } else if (matchState.inningsNumber === 4) {
+    matchState.commentary.push(`FINAL INNINGS`)
+    matchState.commentary.push(`${matchState.battingTeam.name} need ${matchState.getFourthInningsTarget()} runs to win`)
+  }
+  
+  // Plan the first session of the match
+  if (matchState.inningsNumber === 1 && !matchState.sessionPlan) {
+    matchState.startSession()
+  }
+  
+  // Initialize new innings
+  matchState.initializeBatsmen(matchState.battingTeam.players)
+  
+  // Set initial bowler
+  const bowlers = getAvailableBowlers(matchState.bowlingTeam.players)
+  matchState.bowlingManager = new BowlingManager(bowlers)
+  
+  if (bowlers.length > 0) {
+    matchState.bowler = matchState.bowlingManager.selectNextBowler(0, matchState, null)
+    matchState.currentBowlerOvers = 0
+  }
+  
+  return matchState.bowlingManager
+}
+
+/**
+ * Change bowler at the end of an over using the innings' BowlingManager
+ * @param {TestMatchState} matchState - Match state
+ */
+export function rotateTestBowler(matchState) {
+  const manager = matchState.bowlingManager
+  if (!manager) return
+  
+  const currentOver = Math.floor(matchState.balls / 6)
+  const previousBowler = matchState.bowler
+  
+  // Always update spell tracking (every over)
+  manager.updateSpell(previousBowler, currentOver)
+  
+  // Can't bowl consecutive overs - previousBowler is excluded from selection
+  matchState.bowler = manager.selectNextBowler(currentOver, matchState, previousBowler)
+  matchState.currentBowlerOvers = 0
+}
+
+/**
+ * Bowl one delivery, then change ends and bowler if it completed the over
+ * @param {TestMatchState} matchState - Match state
+ * @param {TestProbabilityEngine} probabilityEngine - Probability engine
+ * @returns {Object} Ball outcome
+ */
+export function advanceTestBall(matchState, probabilityEngine) {
+  const outcome = simulateTestBall(matchState, probabilityEngine)
+  
+  if (!outcome.awaitingReview) {
+    endTestOverIfComplete(matchState, outcome)
+  }
+  
+  return outcome
+}
+
+/**
+ * Finish a ball left waiting on the user's review decision
+ * @param {TestMatchState} matchState - Match state with a pendingReview
+ * @param {boolean} review - True to send the decision to DRS
+ * @returns {Object} Ball outcome
+ */
+export function resolvePendingReview(matchState, review) {
+  const outcome = matchState.pendingReview
+  if (!outcome) return null
+  
+  matchState.pendingReview = null
+  outcome.awaitingReview = false
+  if (review) {
+    reviewDecision(matchState, outcome)
+  }
+  
+  playTestBall(matchState, outcome)
+  endTestOverIfComplete(matchState, outcome)
+  
+  return outcome
+}
+
+/**
+ * Change ends and bowler if a ball completed the over
+ * The AI captain considers declaring and the new ball at the end of each over;
+ * the user does both from the UI
+ */
+function endTestOverIfComplete(matchState, outcome) {
+  const isOverComplete = outcome.isLegalDelivery && matchState.balls % 6 === 0
+  if (isOverComplete && !matchState.isUserBatting() && matchState.shouldDeclare()) {
+    matchState.declareInnings()
+  }
+  if (isOverComplete && !matchState.isInningsComplete()) {
+    matchState.rotateStrike()
+    considerNewBall(matchState)
+    rotateTestBowler(matchState)
+  }
+}
+
+/**
+ * Announce the new ball when it falls due, and let the AI captain take it
+ * Runs before the next bowler is picked, so the seamers can come back for it
+ */
+function considerNewBall(matchState) {
+  if (!matchState.isNewBallDue()) return
+  
+  const isJustDue = matchState.getBallAge() === NEW_BALL_DUE_OVERS
+  if (isJustDue) {
+    matchState.commentary.push(generateNewBall(matchState.bowlingTeam.name, 'due', NEW_BALL_DUE_OVERS))
+  }
+  if (matchState.isUserBowling()) return
+  
+  if (matchState.shouldTakeNewBall()) {
+    matchState.takeNewBall()
+  } else if (isJustDue) {
+    matchState.commentary.push(generateNewBall(matchState.bowlingTeam.name, 'declined', NEW_BALL_DUE_OVERS))
+  }
+}
+
+/**
+ * Take a lunch, tea or stumps break and move on to the next session
+ * @param {TestMatchState} matchState - Match state
+ */
+export function takeSessionBreak(matchState) {
+  const manager = matchState.bowlingManager
+  
+  if (manager) {
+    if (matchState.session === 3) {
+      // End of day - reset spell tracking completely
+      manager.resetSpellsForEndOfDay()
+    } else {
+      // Lunch or Tea - allow bowlers to bowl again but track cumulative overs
+      manager.resetSpellsForSessionBreak()
+    }
+  }
+  
+  matchState.nextSession()
+  
+  // Out of time - keep the unfinished innings for the scorecards
+  if (matchState.day > matchState.matchDays) {
+    matchState.saveInningsData()
+  }
+}
+
+/**
+ * Close the current innings and start the next one
+ * When the user's side can enforce the follow-on, the next innings waits on
+ * matchState.pendingFollowOn until resolveFollowOn is called
+ * @param {TestMatchState} matchState - Match state
+ * @returns {boolean} True if the match goes on, false if it is over
+ */
+export function completeTestInnings(matchState) {
+  matchState.commentary.push(`END OF INNINGS: ${matchState.battingTeam.name} ${matchState.score}/${matchState.wickets}${matchState.declared ? ' dec' : ''}`)
+  
+  if (matchState.canEnforceFollowOn() && matchState.isUserBowling()) {
+    matchState.pendingFollowOn = true
+    return true
+  }
+  
+  return startNextTestInnings(matchState, null)
+}
+
+/**
+ * Start the 3rd innings once the user has made their follow-on decision
+ * @param {TestMatchState} matchState - Match state with pendingFollowOn set
+ * @param {boolean} enforce - True to make the opposition bat again
+ * @returns {boolean} True if the match goes on, false if it is over
+ */
+export function resolveFollowOn(matchState, enforce) {
+  if (!matchState.pendingFollowOn) return true
+  
+  matchState.pendingFollowOn = false
+  return startNextTestInnings(matchState, enforce)
+}
+
+/**
+ * Switch innings and start the next one, unless the match is over
+ */
+function startNextTestInnings(matchState, enforceFollowOn) {
+  matchState.switchInnings(enforceFollowOn)
+  
+  // Catches innings victories and completed chases
+  if (matchState.isMatchComplete()) return false
+  
+  startTestInnings(matchState)
+  return true
+}
+
+/**
+ * Simulate a complete Test match without the UI
+ * team1 bats first
+ * @param {Object} team1 - Team batting first
+ * @param {Object} team2 - Team bowling first
+ * @param {Object} options - Match options (conditions, seed, rng)
+ * @returns {Object} Match result with all four innings
+ */
+export function simulateTestMatch(team1, team2, options = {}) {
+  const rng = options.rng || createRandom(options.seed)
+  let conditions = options.conditions
+  if (!conditions) {
+    conditions = MatchConditions.generateRandom('Test', rng)
+    conditions.updatePitchWearByDay(1)
+  }
+  
+  const matchState = new TestMatchState(team1, team2, conditions, rng)
+  const probabilityEngine = new TestProbabilityEngine(conditions)
+  
+  startTestInnings(matchState)
+  
+  while (!matchState.isMatchComplete()) {
+    // A session washed out before a ball is bowled goes straight to the break
+    if (matchState.isSessionComplete()) {
+      takeSessionBreak(matchState)
+      continue
+    }
+    
+    advanceTestBall(matchState, probabilityEngine)
+    
+    if (matchState.isInningsComplete() && !completeTestInnings(matchState)) break
+  }
+  
+  const result = matchState.determineMatchResult()
+  matchState.matchResult = result
+  
+  return {
+    team1: team1.name,
+    team2: team2.name,
+    seed: matchState.seed,
+    conditions: conditions.getDescription(),
+    innings: { ...matchState.allInnings },
+    result,
+    matchState // Include full state for detailed analysis
+  }
+}
+
 export default {
   TestMatchState,
-  simulateTestBall
+  simulateTestBall,
+  startTestInnings,
+  rotateTestBowler,
+  advanceTestBall,
+  resolvePendingReview,
+  takeSessionBreak,
+  completeTestInnings,
+  resolveFollowOn,
+  simulateTestMatch
 }
@@ -5,30 +5,43 @@
  * Different from T20 - more defensive, patient batting
  * 
  * Test cricket characteristics:
- * - More dot balls (~60% vs 30% in T20)
- * - More singles and rotating strike (~28% vs 25% in T20)
- * - Fewer boundaries (~7% vs 15% in T20)
- * - Rare sixes (~1% vs 5% in T20)
- * - Lower wicket probability (~4% vs 3% in T20, but over more balls)
+ * - More dot balls (~64% vs 30% in T20)
+ * - Fewer singles (~19% vs 25% in T20)
+ * - Fewer boundaries (~5% vs 15% in T20)
+ * - Rare sixes (~0.5% vs 5% in T20)
+ * - Lower wicket probability (~2% vs 3% in T20, but over more balls)
  */
 
-import { BALL_OUTCOMES, WICKET_TYPES } from './matchConstants.js';
-import { generateCommentary } from './commentaryGenerator.js';
+import { BALL_OUTCOMES, WICKET_TYPES, EXTRA_RUNS, RUN_OUT_RUNS } from './matchConstants.js';
+import { generateCommentary, generateExtraRuns } from './commentaryGenerator.js';
+import { selectFielder, isChanceTaken, getFieldingPressure, resolveRunOut, getDesignatedKeeper } from './fielding.js';
+import { getOnFieldDecision } from './umpiring.js';
+import { createRandom } from './random.js';
+import { getFieldSetting } from './fieldSettings.js';
+import { getDeliveryModifiers, getDeliveryWicketTypes, describeDelivery } from './bowlingPlans.js';
+import { getIntentModifiers } from './battingIntents.js';
+import { getBallModifiers } from './ballCondition.js';
+import { getSettlednessModifiers } from './settledness.js';
+import { getHandednessModifiers, getHandednessWicketTypes, getRoughModifiers } from './handedness.js';
 
 /**
  * Base probability distributions for Test cricket
- * More conservative than T20
+ * More conservative than T20: with the modifiers on top, about 3.5 an over and a
+ * wicket every 55-60 balls, so a Test runs into day 4 or 5 and lost time can
+ * leave it drawn
  */
 const TEST_BASE_PROBABILITIES = {
-  dot: 60,
-  single: 20,
-  two: 8,
-  three: 2,
-  four: 7,
-  six: 1,
-  wicket: 4,
+  dot: 64,
+  single: 19,
+  two: 6,
+  three: 1.5,
+  four: 5,
+  six: 0.5,
+  wicket: 2.2,
   wide: 1.5,
-  no_ball: 0.5
+  no_ball: 0.5,
+  bye: 0.6,
+  leg_bye: 1.0
 }
 
 /**
@@ -65,6 +78,10 @@ export class TestProbabilityEngine {
     const bowlerRating = bowler.getBowlingRating()
     const skillDiff = batsmanRating - bowlerRating
     
+    // The fielding captain sets the field at the start of the over, and the bowler bowls to the plan
+    matchState.setFieldForOver()
+    matchState.bowlDelivery()
+    
     // Get adjusted probabilities
     const probabilities = this.adjustProbabilities(
       TEST_BASE_PROBABILITIES,
@@ -75,7 +92,7 @@ export class TestProbabilityEngine {
     )
     
     // Select outcome based on probabilities
-    const outcome = this.weightedRandomSelection(probabilities)
+    const outcome = this.weightedRandomSelection(probabilities, matchState.rng)
     
     // Generate detailed result
     return this.generateBallResult(outcome, batsman, bowler, matchState)
@@ -112,6 +129,13 @@ export class TestProbabilityEngine {
       adjusted.wicket *= 0.85
     }
     
+    // Batting intent on top of the style - more reward for more risk
+    this.applyModifiers(adjusted, getIntentModifiers(matchState.getIntentForBatter(batsman), batsman))
+    
+    // New batters and batters back from a break are vulnerable, set ones hard to dislodge
+    const batsmanStats = matchState.batsmanStats.get(batsman.id)
+    this.applyModifiers(adjusted, getSettlednessModifiers(batsmanStats ? batsmanStats.settled : 0))
+    
     // Test-specific: Patience and concentration matter more
     const patienceFactor = (batsman.patience || 70) / 100
     adjusted.dot *= (0.9 + patienceFactor * 0.2)
@@ -186,25 +210,24 @@ export class TestProbabilityEngine {
       adjusted.wicket *= 1.05
     }
     
-    // New ball effects (first 10 overs or after 80 overs)
-    const currentOver = Math.floor(matchState.balls / 6)
-    const ballAge = currentOver % 80
-    if (ballAge < 10) {
-      // New ball helps pace bowlers
-      if (bowler.bowling.style === 'fast' || bowler.bowling.style === 'fast_medium') {
-        adjusted.wicket *= 1.2
-        adjusted.dot *= 1.1
-        adjusted.four *= 0.95
-      }
-    } else if (ballAge > 50) {
-      // Old ball helps spinners, harder for pace
-      if (bowler.bowling.style && bowler.bowling.style.includes('spin')) {
-        adjusted.wicket *= 1.1
-      } else {
-        adjusted.wicket *= 0.9
-        adjusted.four *= 1.05
-      }
-    }
+    // The ball: swing while it's shiny, reverse swing and grip for spin once it's rough
+    const weatherMods = this.matchConditions ? this.matchConditions.getWeatherModifiers(matchState.ball) : null
+    this.applyModifiers(adjusted, getBallModifiers(matchState.ball, bowler, weatherMods))
+    
+    // Field setting - catchers in or boundary riders out
+    this.applyModifiers(adjusted, getFieldSetting(matchState.fieldSetting).outcomes)
+    
+    // Line, length and variation against the batter's strengths
+    this.applyModifiers(adjusted, getDeliveryModifiers(matchState.delivery, batsman, bowler))
+    
+    // Left and right: the bowler's angle and which way the spin turns
+    this.applyModifiers(adjusted, getHandednessModifiers(batsman, bowler))
+    // Spinners aiming at the footmarks on days 4-5
+    this.applyModifiers(adjusted, getRoughModifiers(matchState, batsman, bowler))
+    
+    // Byes get past a poor wicket-keeper (or a stand-in with no keeper picked)
+    const keeper = matchState.getWicketKeeper()
+    adjusted.bye *= keeper ? (100 - keeper.getFieldingRating()) / 50 : 2
     
     // Fatigue effects (bowler stamina)
     if (bowler.fitness < 70) {
@@ -214,18 +237,36 @@ export class TestProbabilityEngine {
       adjusted.wicket *= (1 - fatigueFactor * 0.15)
     }
     
-    // Batsman fatigue (Test cricket specific - after long innings)
-    const batsmanStats = matchState.batsmanStats.get(batsman.id)
-    if (batsmanStats && batsmanStats.balls > 150) {
-      const fatigueLevel = Math.min((batsmanStats.balls - 150) / 150, 0.5)
-      adjusted.wicket *= (1 + fatigueLevel * 0.3)
-      adjusted.dot *= (1 + fatigueLevel * 0.1)
-    }
+    // Batter fatigue (Test cricket specific - long spells at the crease, worse in the heat)
+    // A tired striker has lapses of concentration; a tired pair turn down twos and threes
+    const fatigue = this.getBatterFatigue(batsman)
+    adjusted.wicket *= (1 + fatigue * 0.3)
+    adjusted.dot *= (1 + fatigue * 0.1)
+    
+    const runningFatigue = Math.max(fatigue, matchState.nonStriker ? this.getBatterFatigue(matchState.nonStriker) : 0)
+    adjusted.two *= (1 - runningFatigue * 0.4)
+    adjusted.three *= (1 - runningFatigue * 0.6)
     
     // Normalize to ensure total is 100
     return this.normalizeProbabilities(adjusted)
   }
 
+  /**
+   * Get how tired a batter is: 0 down to 90 fitness, rising to 1 at 40
+   */
+  getBatterFatigue(batsman) {
+    return Math.max(0, 90 - batsman.fitness) / 50
+  }
+
+  /**
+   * Multiply outcome probabilities by a set of modifiers (missing outcomes are unchanged)
+   */
+  applyModifiers(probabilities, modifiers = {}) {
+    for (const [outcome, modifier] of Object.entries(modifiers)) {
+      probabilities[outcome] *= modifier
+    }
+  }
+
   /**
    * Normalize probabilities to sum to 100
    */
@@ -242,9 +283,11 @@ export class TestProbabilityEngine {
 
   /**
    * Weighted random selection based on probabilities
+   * @param {Object} probabilities - Outcome weights summing to 100
+   * @param {SeededRandom} rng - Random number source (the match's own rng)
    */
-  weightedRandomSelection(probabilities) {
-    const random = Math.random() * 100
+  weightedRandomSelection(probabilities, rng = createRandom()) {
+    const random = rng.random() * 100
     let cumulative = 0
     
     for (const [outcome, probability] of Object.entries(probabilities)) {
@@ -267,71 +310,160 @@ export class TestProbabilityEngine {
       runs: 0,
       isWicket: false,
       isLegalDelivery: true,
+      runsOffBat: 0,
+      extraType: null,
+      extraRuns: 0,
       wicketType: null,
+      fielder: null,
+      missedChance: null,
+      runOut: null,
+      delivery: matchState.delivery || null,
+      intent: matchState.getIntentForBatter(batsman),
+      decision: null,
       commentary: ''
     }
     
     const players = {
       batsman: batsman.name,
       bowler: bowler.name,
-      fielder: 'the fielder'
+      fielder: 'the fielder',
+      keeper: matchState.getWicketKeeper() ? matchState.getWicketKeeper().name : 'the keeper'
     };
+    const rng = matchState.rng
     
     const matchContext = {
       balls: matchState.balls,
       score: matchState.score,
-      wickets: matchState.wickets
+      wickets: matchState.wickets,
+      // The line and length of every ball the batter can play
+      delivery: outcome === 'wide' || outcome === 'no_ball' ? '' : describeDelivery(matchState.delivery, bowler)
     };
     
     switch (outcome) {
       case 'dot':
         result.runs = 0
-        result.commentary = generateCommentary('dot', players, matchContext)
+        result.commentary = generateCommentary('dot', players, matchContext, null, rng)
         break
       case 'single':
         result.runs = 1
-        result.commentary = generateCommentary('single', players, matchContext)
+        result.commentary = generateCommentary('single', players, matchContext, null, rng)
         break
       case 'two':
         result.runs = 2
-        result.commentary = generateCommentary('two', players, matchContext)
+        result.commentary = generateCommentary('two', players, matchContext, null, rng)
         break
       case 'three':
         result.runs = 3
-        result.commentary = generateCommentary('three', players, matchContext)
+        result.commentary = generateCommentary('three', players, matchContext, null, rng)
         break
       case 'four':
         result.runs = 4
-        result.commentary = generateCommentary('four', players, matchContext)
+        result.commentary = generateCommentary('four', players, matchContext, null, rng)
         break
       case 'six':
         result.runs = 6
-        result.commentary = generateCommentary('six', players, matchContext)
+        result.commentary = generateCommentary('six', players, matchContext, null, rng)
         break
       case 'wicket':
+        result.wicketType = this.determineWicketType(bowler.bowling.style, rng, getFieldSetting(matchState.fieldSetting), matchState.delivery, getHandednessWicketTypes(batsman, bowler))
+        result.fielder = selectFielder(result.wicketType, matchState.bowlingTeam.players, bowler, rng)
+        if (result.fielder) players.fielder = result.fielder.name
+
+        // Catches and stumpings are chances that can go down
+        if (!isChanceTaken(result.wicketType, result.fielder, matchState.conditions, getFieldingPressure(matchState), rng, getFieldSetting(matchState.fieldSetting))) {
+          result.missedChance = { wicketType: result.wicketType, fielder: result.fielder }
+          result.runs = rng.chance(0.3) ? 1 : 0
+          result.outcome = result.runs ? 'single' : 'dot'
+          result.commentary = generateCommentary(result.wicketType === WICKET_TYPES.STUMPED ? 'missedStumping' : 'dropped', players, matchContext, null, rng)
+          result.wicketType = null
+          result.fielder = null
+          break
+        }
+
+        // Runs can be completed before the wicket is broken, and either batter can be run out
+        if (result.wicketType === WICKET_TYPES.RUN_OUT) {
+          result.runs = parseInt(this.weightedRandomSelection(RUN_OUT_RUNS, rng), 10)
+          result.runOut = resolveRunOut(result.runs, rng)
+          if (result.runOut.nonStrikerOut) players.batsman = matchState.nonStriker.name
+        }
+
         result.isWicket = true
-        result.wicketType = this.determineWicketType(bowler.bowling.style)
-        result.commentary = generateCommentary('wicket', players, matchContext, result.wicketType)
+        result.commentary = generateCommentary('wicket', players, matchContext, result.wicketType, rng)
+        if (result.runs) result.commentary += ` ${result.runs} run${result.runs > 1 ? 's' : ''} completed.`
         break
       case 'wide':
-        result.runs = 1
+        result.extraRuns = this.rollExtraRuns('wide', rng)
         result.isLegalDelivery = false
-        result.commentary = generateCommentary('wide', players, matchContext)
+        result.commentary = generateCommentary('wide', players, matchContext, null, rng)
         break
       case 'no_ball':
-        result.runs = 1
+        // One-run penalty, plus whatever the batter scores off it
+        result.extraRuns = 1
+        result.runsOffBat = this.rollExtraRuns('no_ball', rng)
         result.isLegalDelivery = false
-        result.commentary = generateCommentary('noBall', players, matchContext)
+        result.commentary = generateCommentary('noBall', players, matchContext, null, rng)
+        break
+      case 'bye':
+        result.extraRuns = this.rollExtraRuns('bye', rng)
+        result.commentary = generateCommentary('bye', players, matchContext, null, rng)
+        break
+      case 'leg_bye':
+        result.extraRuns = this.rollExtraRuns('leg_bye', rng)
+        result.commentary = generateCommentary('legBye', players, matchContext, null, rng)
         break
     }
     
+    // The umpire can get a close LBW or caught-behind call wrong
+    const decision = getOnFieldDecision(result, getDesignatedKeeper(matchState.bowlingTeam.players), rng)
+    if (decision) {
+      result.decision = decision
+      if (!decision.givenOut) {
+        result.isWicket = false
+        result.outcome = 'dot'
+        result.wicketType = null
+        result.fielder = null
+        result.commentary = generateCommentary('notOut', players, matchContext, decision.wicketType, rng)
+      } else if (!result.isWicket) {
+        result.isWicket = true
+        result.outcome = 'wicket'
+        result.wicketType = decision.wicketType
+        result.fielder = decision.fielder
+        if (decision.fielder) players.fielder = decision.fielder.name
+        result.commentary = generateCommentary('wicket', players, matchContext, decision.wicketType, rng)
+      }
+    }
+    
+    if (EXTRA_RUNS[outcome]) {
+      result.extraType = outcome
+      result.runs = result.runsOffBat + result.extraRuns
+      const extraRuns = generateExtraRuns(outcome, outcome === 'no_ball' ? result.runsOffBat : result.extraRuns, batsman.name)
+      if (extraRuns) result.commentary += ` ${extraRuns}`
+    } else {
+      result.runsOffBat = result.runs
+    }
+    
     return result
   }
 
   /**
-   * Determine type of wicket based on bowler style
+   * Pick how many runs an extra is worth
+   * @param {string} extraType - 'wide', 'no_ball', 'bye' or 'leg_bye'
+   * @param {SeededRandom} rng - Random number source (the match's own rng)
+   * @returns {number} Wides, runs off the bat on a no-ball, or byes/leg byes
    */
-  determineWicketType(bowlingStyle) {
+  rollExtraRuns(extraType, rng = createRandom()) {
+    return parseInt(this.weightedRandomSelection(EXTRA_RUNS[extraType], rng), 10)
+  }
+
+  /**
+   * Determine type of wicket based on bowler style and the field
+   * @param {string} bowlingStyle - Bowler's style
+   * @param {SeededRandom} rng - Random number source
+   * @param {Object} field - Field setting (catchers make caught more likely)
+   * @param {Object} delivery - Delivery bowled (a yorker hits the stumps, a bouncer gets caught)
+   * @param {Object} handedness - Dismissal type modifiers for the batter's hand against the bowler's arm
+   */
+  determineWicketType(bowlingStyle, rng = createRandom(), field = null, delivery = null, handedness = {}) {
     let adjustedProbs = { ...TEST_WICKET_TYPE_PROBABILITIES };
     
     // Adjust wicket probabilities based on bowling style
@@ -347,7 +479,14 @@ export class TestProbabilityEngine {
       adjustedProbs.lbw *= 1.4;
     }
     
-    const wicketType = this.weightedRandomSelection(adjustedProbs);
+    if (field) {
+      this.applyModifiers(adjustedProbs, field.wicketTypes);
+    }
+    this.applyModifiers(adjustedProbs, getDeliveryWicketTypes(delivery));
+    this.applyModifiers(adjustedProbs, handedness);
+    
+    // Style, field, delivery and handedness adjustments move the total away from 100
+    const wicketType = this.weightedRandomSelection(this.normalizeProbabilities(adjustedProbs), rng);
     return wicketType;
   }
 
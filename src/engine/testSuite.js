@@ -7,7 +7,8 @@
 import { Player, PLAYER_ROLES, BATTING_STYLES, BOWLING_STYLES } from './playerStats.js';
 import { ProbabilityEngine } from './probabilityEngine.js';
 import { MatchConditions, PITCH_TYPES, WEATHER_CONDITIONS } from './matchConditions.js';
-import { simulateBall, simulateOver, MatchState } from './matchSimulator.js';
+import { simulateBall, simulateOver, simulateMatch, MatchState } from './matchSimulator.js';
+import { createRandom } from './random.js';
 import { formatScore, calculateRunRate, ballsToOvers } from './matchUtils.js';
 
 /**
@@ -91,7 +92,14 @@ function testProbabilityEngine(batsman, bowler, conditions) {
     wickets: 0,
     balls: 0,
     totalOvers: 20,
-    currentInning: 1
+    currentInning: 1,
+    bowlingTeam: { players: [] },
+    getWicketKeeper: () => null,
+    setFieldForOver: () => null,
+    bowlDelivery: () => null,
+    getIntentForBatter: () => 'normal',
+    ball: { shine: 100, roughness: 0 },
+    batsmanStats: new Map()
   };
   
   const outcome = engine.calculateBallOutcome(batsman, bowler, mockMatchState);
@@ -122,12 +130,9 @@ function testMatchUtils() {
 }
 
 /**
- * Test match state
+ * Create two simple teams of 11
  */
-function testMatchState() {
-  console.log('Testing Match State...');
-  
-  // Create simple teams
+function createTestTeams() {
   const team1 = {
     id: 'test_team_1',
     name: 'Test Team 1',
@@ -157,6 +162,17 @@ function testMatchState() {
     }));
   }
   
+  return { team1, team2 };
+}
+
+/**
+ * Test match state
+ */
+function testMatchState() {
+  console.log('Testing Match State...');
+  
+  const { team1, team2 } = createTestTeams();
+  
   const conditions = MatchConditions.generateRandom('T20');
   const matchState = new MatchState(team1, team2, 20, conditions);
   
@@ -204,6 +220,57 @@ function testBallSimulation(matchState) {
   console.log(`  - Run rate: ${calculateRunRate(matchState.score, matchState.balls)}\n`);
 }
 
+/**
+ * Test that a seed replays the same match
+ */
+function testSeededReplay() {
+  console.log('Testing Seeded Replay...');
+  
+  // Each match needs fresh teams - players carry form and fitness between balls
+  const play = (seed) => {
+    const { team1, team2 } = createTestTeams();
+    return simulateMatch(team1, team2, { seed });
+  };
+  const getLog = (result) => JSON.stringify(result.matchState.getDeliveries());
+  
+  const original = play(12345);
+  if (getLog(play(12345)) !== getLog(original)) {
+    throw new Error('The same seed played a different match');
+  }
+  console.log(`✓ Seed ${original.seed} replays ${original.matchState.getDeliveries().length} deliveries exactly`);
+  
+  // The seed shown on screen, typed into ?seed=, arrives as a string
+  if (createRandom('12345').seed !== original.seed || getLog(play('12345')) !== getLog(original)) {
+    throw new Error('A seed given as digits played a different match');
+  }
+  console.log(`✓ Seed '12345' replays the same match as 12345`);
+  
+  if (getLog(play(54321)) === getLog(original)) {
+    throw new Error('Different seeds played the same match');
+  }
+  console.log(`✓ A different seed plays a different match\n`);
+}
+
+/**
+ * Test that the partnerships, extras included, add up to the team score
+ */
+function testPartnershipTotals() {
+  console.log('Testing Partnership Totals...');
+  
+  for (const seed of [1, 2, 3, 4, 5]) {
+    const { team1, team2 } = createTestTeams();
+    const { matchState } = simulateMatch(team1, team2, { seed });
+    const partnershipRuns = matchState.partnerships.reduce((runs, p) => runs + p.runs, 0) + matchState.currentPartnership.runs;
+    const extras = Object.values(matchState.extras).reduce((runs, r) => runs + r, 0);
+    
+    if (partnershipRuns !== matchState.score) {
+      throw new Error(`Seed ${seed}: partnerships add up to ${partnershipRuns}, score is ${matchState.score} (${extras} extras)`);
+    }
+    console.log(`✓ Seed ${seed}: partnerships add up to ${matchState.score} (${extras} extras)`);
+  }
+  console.log('');
+}
+
 /**
  * Run all tests
  */
@@ -222,6 +289,8 @@ export function runTests() {
     // Test match simulation
     const matchState = testMatchState();
     testBallSimulation(matchState);
+    testSeededReplay();
+    testPartnershipTotals();
     
     console.log('='.repeat(80));
     console.log('ALL TESTS PASSED ✓');
@@ -244,5 +313,7 @@ export default {
   testProbabilityEngine,
   testMatchUtils,
   testMatchState,
-  testBallSimulation
+  testBallSimulation,
+  testSeededReplay,
+  testPartnershipTotals
 };
@@ -0,0 +1,147 @@
+/**
+ * Umpiring - On-field decisions and the Decision Review System (DRS)
+ *
+ * Implements:
+ * - Umpires can get LBW and caught-behind appeals wrong: a genuine dismissal
+ *   given not out, or a close appeal given out when the batter isn't
+ * - Each side has a limited number of reviews per innings in Tests, topped up
+ *   after 80 overs
+ * - A review is overturned, upheld or umpire's call (a marginal LBW where the
+ *   on-field decision stands); a side keeps its review unless it's upheld
+ * - AI captains review decisions they think are wrong, more cautiously with
+ *   their last review
+ */
+
+import { WICKET_TYPES } from './matchConstants.js'
+
+export const REVIEWS_PER_INNINGS = 2
+export const REVIEW_TOP_UP_OVERS = 80
+
+export const REVIEW_OUTCOMES = {
+  OVERTURNED: 'overturned',
+  UPHELD: 'upheld',
+  UMPIRES_CALL: 'umpires_call'
+}
+
+// Genuine dismissals the umpire gives out, and close appeals correctly turned down
+const UMPIRE_ACCURACY = 0.9
+
+// Dot balls that bring a close LBW or caught-behind appeal the batter isn't out to
+const CLOSE_APPEAL_CHANCE = 0.01
+
+// LBW reviews too close to call, where the on-field decision stands
+const UMPIRES_CALL_CHANCE = 0.25
+
+// How often an AI captain reviews a decision that is wrong, or right
+const AI_REVIEW_CHANCE = { wrong: 0.8, right: 0.15 }
+
+/**
+ * Check if a dismissal is an umpire's decision that can be reviewed
+ * @param {string} wicketType - WICKET_TYPES value
+ * @param {Player} fielder - Fielder credited, if any
+ * @param {Player} keeper - Fielding side's wicket-keeper
+ * @returns {boolean} True for LBW and catches taken by the keeper
+ */
+export function isReviewable(wicketType, fielder, keeper) {
+  if (wicketType === WICKET_TYPES.LBW) return true
+  return wicketType === WICKET_TYPES.CAUGHT && Boolean(keeper) && fielder === keeper
+}
+
+/**
+ * Get the umpire's decision on a delivery
+ * Genuine LBW and caught-behind dismissals can be given not out, and a few dot
+ * balls bring a close appeal that can be given out
+ * @param {Object} result - Ball result from the probability engine
+ * @param {Player} keeper - Fielding side's wicket-keeper
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {Object|null} { wicketType, fielder, trulyOut, givenOut, marginal }, or null if there's no decision to make
+ */
+export function getOnFieldDecision(result, keeper, rng) {
+  let wicketType
+  let fielder = null
+  let trulyOut
+
+  if (result.isWicket) {
+    if (!isReviewable(result.wicketType, result.fielder, keeper)) return null
+    wicketType = result.wicketType
+    fielder = result.fielder
+    trulyOut = true
+  } else {
+    if (result.outcome !== 'dot' || result.missedChance || !rng.chance(CLOSE_APPEAL_CHANCE)) return null
+    wicketType = keeper && rng.chance(0.4) ? WICKET_TYPES.CAUGHT : WICKET_TYPES.LBW
+    if (wicketType === WICKET_TYPES.CAUGHT) fielder = keeper
+    trulyOut = false
+  }
+
+  const correct = rng.chance(UMPIRE_ACCURACY)
+
+  return {
+    wicketType,
+    fielder,
+    trulyOut,
+    givenOut: correct ? trulyOut : !trulyOut,
+    marginal: wicketType === WICKET_TYPES.LBW && rng.chance(UMPIRES_CALL_CHANCE)
+  }
+}
+
+/**
+ * Get the side that can review a decision
+ * @param {Object} decision - On-field decision
+ * @param {MatchState} matchState - Match state
+ * @returns {Object} Batting side if given out, otherwise the bowling side
+ */
+export function getReviewingTeam(decision, matchState) {
+  return decision.givenOut ? matchState.battingTeam : matchState.bowlingTeam
+}
+
+/**
+ * Decide whether an AI captain reviews a decision
+ * @param {Object} decision - On-field decision
+ * @param {number} reviewsRemaining - Reviews the side has left
+ * @param {SeededRandom} rng - Match's random number source
+ * @returns {boolean} True to review
+ */
+export function shouldReview(decision, reviewsRemaining, rng) {
+  if (reviewsRemaining <= 0) return false
+
+  let chance = decision.givenOut !== decision.trulyOut ? AI_REVIEW_CHANCE.wrong : AI_REVIEW_CHANCE.right
+  if (reviewsRemaining === 1) chance *= 0.6
+
+  return rng.chance(chance)
+}
+
+/**
+ * Get the result of reviewing a decision
+ * @param {Object} decision - On-field decision
+ * @returns {string} REVIEW_OUTCOMES value
+ */
+export function resolveReview(decision) {
+  if (decision.marginal) return REVIEW_OUTCOMES.UMPIRES_CALL
+  return decision.givenOut !== decision.trulyOut ? REVIEW_OUTCOMES.OVERTURNED : REVIEW_OUTCOMES.UPHELD
+}
+
+/**
+ * Reverse an on-field decision on a ball result
+ * @param {Object} result - Ball result carrying the decision
+ */
+export function overturnDecision(result) {
+  const { decision } = result
+  decision.givenOut = !decision.givenOut
+
+  result.isWicket = decision.givenOut
+  result.outcome = decision.givenOut ? 'wicket' : 'dot'
+  result.wicketType = decision.givenOut ? decision.wicketType : null
+  result.fielder = decision.givenOut ? decision.fielder : null
+}
+
+export default {
+  REVIEWS_PER_INNINGS,
+  REVIEW_TOP_UP_OVERS,
+  REVIEW_OUTCOMES,
+  isReviewable,
+  getOnFieldDecision,
+  getReviewingTeam,
+  shouldReview,
+  resolveReview,
+  overturnDecision
+}
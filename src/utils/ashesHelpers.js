@@ -3,9 +3,11 @@
  * Loads England and Australia teams with player data for The Ashes 2025
  */
 
-import teamsData from '../data/teams.json';
-import playersData from '../data/ashesPlayers.json';
+import teamsData from '../data/teams.json' with { type: 'json' };
+import playersData from '../data/ashesPlayers.json' with { type: 'json' };
 import { Player } from '../engine/playerStats.js';
+import { createRandom } from '../engine/random.js';
+import { getAvailableBowlers } from '../engine/bowlingManager.js';
 
 /**
  * Load a team with its players
@@ -118,21 +120,32 @@ export function selectTestXI(team) {
   return xi.slice(0, 11);
 }
 
+/**
+ * Get England and Australia with their playing XIs picked
+ * @returns {Array} [england, australia]
+ */
+export function getAshesTeams() {
+  const england = getEnglandSquad();
+  const australia = getAustraliaSquad();
+  england.players = selectTestXI(england);
+  australia.players = selectTestXI(australia);
+  return [england, australia];
+}
+
 /**
  * Get bowlers from a team
  */
 export function getBowlers(players) {
-  return players.filter(p => 
-    p.role === 'bowler' || p.role === 'all_rounder'
-  ).sort((a, b) => b.getBowlingRating() - a.getBowlingRating());
+  return getAvailableBowlers(players);
 }
 
 /**
  * Perform toss
+ * @param {SeededRandom} rng - Random number source (pass the match's rng to reproduce it)
  */
-export function performToss() {
-  const winner = Math.random() < 0.5 ? 1 : 2;
-  const decision = Math.random() < 0.5 ? 'bat' : 'bowl';
+export function performToss(rng = createRandom()) {
+  const winner = rng.chance(0.5) ? 1 : 2;
+  const decision = rng.chance(0.5) ? 'bat' : 'bowl';
   
   return {
     winner,
@@ -145,6 +158,7 @@ export default {
   getEnglandSquad,
   getAustraliaSquad,
   selectTestXI,
+  getAshesTeams,
   getBowlers,
   performToss
 };
@@ -7,6 +7,7 @@
 import teamsData from '../data/teams.json'
 import playersData from '../data/players.json'
 import { Player } from '../engine/playerStats.js'
+import { createRandom } from '../engine/random.js'
 
 /**
  * Load a team with full player data
@@ -81,6 +82,7 @@ export function formatBowlerStats(bowler, bowlerStats) {
   return {
     name: bowler.name,
     overs: oversStr,
+    balls: stats.balls,
     maidens: stats.maidens,
     runs: stats.runs,
     wickets: stats.wickets,
@@ -117,11 +119,12 @@ export function formatFallOfWickets(fallOfWickets) {
 
 /**
  * Perform toss and decide batting order
+ * @param {SeededRandom} rng - Random number source (pass the match's rng to reproduce it)
  * @returns {Object} Toss result
  */
-export function performToss() {
-  const tossWinner = Math.random() < 0.5 ? 1 : 2
-  const decision = Math.random() < 0.5 ? 'bat' : 'bowl'
+export function performToss(rng = createRandom()) {
+  const tossWinner = rng.chance(0.5) ? 1 : 2
+  const decision = rng.chance(0.5) ? 'bat' : 'bowl'
   
   return {
     winner: tossWinner,
@@ -129,6 +132,17 @@ export function performToss() {
   }
 }
 
+/**
+ * Read a seed requested through the page URL (e.g. ?seed=12345)
+ * Lets players share a seed and replay exactly the same match (digits are
+ * read as the number shown on the scoreboard)
+ * @returns {string|null} Requested seed, or null for a fresh match
+ */
+export function getRequestedSeed() {
+  if (typeof window === 'undefined') return null
+  return new URLSearchParams(window.location.search).get('seed')
+}
+
 /**
  * Get match phase description
  * @param {Object} matchState - Current match state
@@ -140,9 +154,9 @@ export function getMatchPhase(matchState) {
   if (matchState.currentInning === 1) {
     return 'FIRST INNINGS'
   } else if (matchState.currentInning === 2) {
-    const target = matchState.innings.first.runs + 1
+    const target = matchState.getTarget()
     const needed = target - matchState.score
-    const ballsLeft = (matchState.totalOvers * 6) - matchState.balls
+    const ballsLeft = matchState.getTotalBalls() - matchState.balls
     
     if (needed <= 0) {
       return 'MATCH WON'
@@ -166,9 +180,8 @@ export function getMatchPhase(matchState) {
 export function calculateProjectedScore(matchState) {
   if (matchState.balls === 0) return 0
   
-  const currentRunRate = (matchState.score / matchState.balls) * 6
-  const totalBalls = matchState.totalOvers * 6
-  return Math.round(currentRunRate * (totalBalls / 6))
+  const runsPerBall = matchState.score / matchState.balls
+  return Math.round(runsPerBall * matchState.getTotalBalls())
 }
 
 /**
@@ -0,0 +1,92 @@
+/**
+ * Match Storage
+ *
+ * Persists a Test match in progress to local storage so a refresh or
+ * a trip back to the main menu doesn't lose it.
+ */
+
+import { serializeTestMatch, deserializeTestMatch, SAVE_VERSION } from '../engine/matchSerializer.js'
+
+const TEST_MATCH_KEY = 'cricket-manager:test-match'
+
+/**
+ * Get local storage if the browser provides it
+ */
+function getStorage() {
+  return typeof window !== 'undefined' && window.localStorage ? window.localStorage : null
+}
+
+/**
+ * Save a Test match in progress
+ * @param {TestMatchState} matchState - Match state
+ * @param {Object} ui - Extra page state to restore (team ids, toss result)
+ * @returns {boolean} True if saved
+ */
+export function saveTestMatch(matchState, ui = {}) {
+  const storage = getStorage()
+  if (!storage) return false
+
+  try {
+    const saved = {
+      ...serializeTestMatch(matchState),
+      ui,
+      summary: {
+        day: matchState.day,
+        session: matchState.getSessionName(),
+        status: `${matchState.battingTeam.name} ${matchState.score}/${matchState.wickets}`
+      },
+      savedAt: new Date().toISOString()
+    }
+    storage.setItem(TEST_MATCH_KEY, JSON.stringify(saved))
+    return true
+  } catch (error) {
+    console.warn('Unable to save match:', error)
+    return false
+  }
+}
+
+/**
+ * Load the saved Test match
+ * A save that can't be restored (corrupt, or from an older version) is deleted
+ * @returns {Object|null} { matchState, ui } or null if nothing usable is saved
+ */
+export function loadTestMatch() {
+  const storage = getStorage()
+  const raw = storage ? storage.getItem(TEST_MATCH_KEY) : null
+  if (!raw) return null
+
+  try {
+    const saved = JSON.parse(raw)
+    return { matchState: deserializeTestMatch(saved), ui: saved.ui || {} }
+  } catch (error) {
+    console.warn('Unable to load saved match:', error)
+    clearSavedTestMatch()
+    return null
+  }
+}
+
+/**
+ * Get a short description of the saved Test match for menus
+ * @returns {Object|null} { day, session, status, savedAt } or null if nothing usable is saved
+ */
+export function getSavedTestMatchSummary() {
+  const storage = getStorage()
+  const raw = storage ? storage.getItem(TEST_MATCH_KEY) : null
+  if (!raw) return null
+
+  try {
+    const saved = JSON.parse(raw)
+    if (saved.version !== SAVE_VERSION) return null
+    return saved.summary ? { ...saved.summary, savedAt: saved.savedAt } : null
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Delete the saved Test match
+ */
+export function clearSavedTestMatch() {
+  const storage = getStorage()
+  if (storage) storage.removeItem(TEST_MATCH_KEY)
+}